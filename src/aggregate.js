@@ -0,0 +1,112 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { METRIC_LABELS, formatBytes, isServerBundle, isSharedEntry } = require("./parse-stats.js");
+
+/**
+ * File name of the result each matrix job uploads in `comment-mode: aggregate`.
+ */
+const RESULT_FILE = "bundle-size-result.json";
+
+/**
+ * The result of one app, merged with the others into one PR comment.
+ *
+ * @typedef {object} AppResult
+ * @property {string} appName
+ * @property {string} report - Markdown report without its title (`generateReport` with
+ *   `header: false`), followed by its budget violations
+ * @property {object} diff - JSON diff from `generateJsonReport`
+ */
+
+/**
+ * Writes the result of one app.
+ *
+ * @param {string} outputPath
+ * @param {AppResult} result
+ */
+function saveResult(outputPath, result) {
+  fs.writeFileSync(outputPath, JSON.stringify(result));
+}
+
+/**
+ * Loads the app results in a directory and its subdirectories (one per
+ * downloaded artifact), sorted by app name.
+ *
+ * @param {string} dir
+ * @returns {AppResult[]}
+ */
+function loadResults(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const candidates = [
+    path.join(dir, RESULT_FILE),
+    ...fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => path.join(dir, entry.name, RESULT_FILE)),
+  ];
+  return candidates
+    .filter((filePath) => fs.existsSync(filePath))
+    .map((filePath) => JSON.parse(fs.readFileSync(filePath, "utf8")))
+    .sort((a, b) => a.appName.localeCompare(b.appName));
+}
+
+function formatTotalDiff(delta) {
+  if (delta === 0) return "➖ No change";
+  return delta > 0 ? `🔴 \`+${formatBytes(delta)}\`` : `🟢 \`-${formatBytes(-delta)}\``;
+}
+
+/**
+ * Generates one markdown report for the apps of a monorepo: a summary table
+ * across the apps, followed by a collapsible section with the report of each
+ * app. Apps with changes are expanded. Only pages count as changed routes,
+ * not `global`, layout segments, shared clusters or server bundles.
+ *
+ * @param {AppResult[]} results
+ * @returns {string}
+ */
+function generateAggregateReport(results) {
+  let markdown =
+    "## 📦 Next.js Bundle Sizes (Turbopack)\n\nThis analysis was generated by the [Next.js Turbopack Bundle Size action](https://github.com/michalsanger/nextjs-turbopack-bundle-size). 🤖\n\n";
+
+  if (results.length === 0) {
+    markdown +=
+      "> ⚠️ **Warning:** No app results found. Set `comment-mode: aggregate` on the jobs that measure the apps.\n";
+    return markdown;
+  }
+
+  const metric = results[0].diff.metric;
+  const summaryRows = [];
+  const sections = [];
+  for (const { appName, report, diff } of results) {
+    const changedRows = diff.routes.filter((route) => route.status !== "unchanged");
+    const changed = changedRows.filter(
+      ({ route }) => !isSharedEntry(route) && !isServerBundle(route),
+    ).length;
+    const budgets = diff.budgetExceeded ? "🚨 Exceeded" : "✅";
+    summaryRows.push(
+      `| \`${appName}\` | ${changed} | ${formatTotalDiff(diff.totalDeltaBytes)} | ${budgets} |`,
+    );
+    const open = changedRows.length > 0 || diff.budgetExceeded ? " open" : "";
+    sections.push(
+      `<details${open}>\n<summary><b>${appName}</b>: ${changed} changed ${changed === 1 ? "route" : "routes"}</summary>\n\n` +
+        report.trim() +
+        "\n\n</details>\n",
+    );
+  }
+
+  markdown +=
+    `| App | Changed routes | Total diff (${METRIC_LABELS[metric]}) | Budgets |\n` +
+    "|---|---|---|---|\n" +
+    summaryRows.join("\n") +
+    "\n\n" +
+    sections.join("\n");
+  return markdown;
+}
+
+module.exports = {
+  RESULT_FILE,
+  saveResult,
+  loadResults,
+  generateAggregateReport,
+};
@@ -0,0 +1,89 @@
+"use strict";
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { generateReport, generateJsonReport } = require("./parse-stats.js");
+const { RESULT_FILE, saveResult, loadResults, generateAggregateReport } = require("./aggregate.js");
+
+const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `bundle-size-aggregate-${process.pid}`);
+
+function createResult(appName, current, baseline, violations = []) {
+  return {
+    appName,
+    report: generateReport(current, baseline, 0, 0, appName, { header: false }),
+    diff: generateJsonReport(current, baseline, { violations }),
+  };
+}
+
+const unchanged = { global: { gzip: 4096 }, "/": { gzip: 1024 } };
+const grown = { global: { gzip: 4096 }, "/": { gzip: 2048 } };
+
+// ---------------------------------------------------------------------------
+// loadResults
+// ---------------------------------------------------------------------------
+
+describe("loadResults", () => {
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("loads the result of each downloaded artifact, sorted by app name", () => {
+    for (const appName of ["web", "docs"]) {
+      const dir = path.join(tmpRoot, `bundle-size-result-${appName}`);
+      fs.mkdirSync(dir, { recursive: true });
+      saveResult(path.join(dir, RESULT_FILE), createResult(appName, unchanged, unchanged));
+    }
+    assert.deepEqual(
+      loadResults(tmpRoot).map((result) => result.appName),
+      ["docs", "web"],
+    );
+  });
+
+  test("returns nothing when no result was downloaded", () => {
+    assert.deepEqual(loadResults(path.join(tmpRoot, "missing")), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateAggregateReport
+// ---------------------------------------------------------------------------
+
+describe("generateAggregateReport", () => {
+  test("summarizes the apps in one table with a section per app", () => {
+    const violation = { route: "/", budget: "maxFirstLoad", actual: 6144, limit: 5120 };
+    const report = generateAggregateReport([
+      createResult("docs", unchanged, unchanged),
+      createResult("web", grown, unchanged, [violation]),
+    ]);
+    assert.ok(report.startsWith("## 📦 Next.js Bundle Sizes (Turbopack)\n"));
+    assert.ok(
+      report.includes(
+        "| App | Changed routes | Total diff (gzipped) | Budgets |\n|---|---|---|---|\n" +
+          "| `docs` | 0 | ➖ No change | ✅ |\n" +
+          "| `web` | 1 | 🔴 `+1 KB` | 🚨 Exceeded |\n",
+      ),
+    );
+    assert.ok(report.includes("<details>\n<summary><b>docs</b>: 0 changed routes</summary>"));
+    assert.ok(report.includes("<details open>\n<summary><b>web</b>: 1 changed route</summary>"));
+    assert.ok(report.includes("| `/` | `2 KB` | `6 KB` | 🔴 `+1 KB` |"));
+    assert.ok(!report.includes("## 📦 web"));
+  });
+
+  test("counts only pages as changed routes", () => {
+    const current = {
+      ...grown,
+      global: { gzip: 5120 },
+      "layout:/docs": { gzip: 800 },
+      "server:middleware": { gzip: 900 },
+    };
+    const report = generateAggregateReport([createResult("web", current, unchanged)]);
+    assert.ok(report.includes("| `web` | 1 |"));
+    assert.ok(report.includes("<details open>\n<summary><b>web</b>: 1 changed route</summary>"));
+  });
+
+  test("warns when there are no results", () => {
+    assert.ok(generateAggregateReport([]).includes("No app results found"));
+  });
+});
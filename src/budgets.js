@@ -0,0 +1,176 @@
+"use strict";
+
+const { EMPTY_CONFIG, getRouteSettings } = require("./config.js");
+const {
+  formatBytes,
+  getFirstLoadSize,
+  getPrimaryMetric,
+  getRouteLabel,
+  isGlobalRoute,
+  isServerBundle,
+  isSharedEntry,
+  prepareRoutes,
+} = require("./parse-stats.js");
+
+const BUDGET_LABELS = {
+  maxFirstLoad: "first load",
+  maxIncreaseBytes: "increase",
+  maxIncreasePercent: "increase",
+  maxGlobal: "global size",
+  maxServerBundle: "server bundle",
+};
+
+/**
+ * Checks route sizes against hard size budgets.
+ *
+ * Sizes are compared using the same compression metric as the report. A
+ * budget of 0 (or a missing one) is disabled. The config can ignore routes
+ * and override the route budgets by pattern (see config.js). Renamed routes
+ * are compared with their old route, like in the reports.
+ *
+ * @param {Record<string, object>} originalCurrentRoutes
+ * @param {Record<string, object>} originalBaselineRoutes
+ * @param {{ maxFirstLoad?: number, maxIncreaseBytes?: number, maxIncreasePercent?: number, maxGlobal?: number, maxServerBundle?: number }} budgets
+ *   - `maxFirstLoad`: max first-load bytes of a route (route + the global entry of its router
+ *     + the layout segments and shared chunk clusters it loads)
+ *   - `maxIncreaseBytes` / `maxIncreasePercent`: max growth of a route (or global) vs baseline
+ *   - `maxGlobal`: max size of the shared global chunks (`global` and `pages:global`)
+ *   - `maxServerBundle`: max size of a middleware or edge function bundle. Server bundles
+ *     are only checked against this budget.
+ * @param {{ ignore: string[], overrides: object[] }} [config] - See `loadConfig`
+ * @returns {Array<{ route: string, budget: string, actual: number, limit: number }>}
+ */
+function checkBudgets(
+  originalCurrentRoutes,
+  originalBaselineRoutes,
+  budgets = {},
+  config = EMPTY_CONFIG,
+) {
+  const { currentRoutes, baselineRoutes } = prepareRoutes(
+    originalCurrentRoutes,
+    originalBaselineRoutes,
+    config,
+  );
+  const metric = getPrimaryMetric(currentRoutes, baselineRoutes);
+  const { maxGlobal = 0, maxServerBundle = 0 } = budgets;
+  const violations = [];
+
+  for (const route of Object.keys(currentRoutes).sort()) {
+    const size = currentRoutes[route][metric] || 0;
+    if (isServerBundle(route)) {
+      if (maxServerBundle > 0 && size > maxServerBundle) {
+        violations.push({ route, budget: "maxServerBundle", actual: size, limit: maxServerBundle });
+      }
+      continue;
+    }
+    const isGlobal = isGlobalRoute(route);
+    const {
+      maxFirstLoad = 0,
+      maxIncreaseBytes = 0,
+      maxIncreasePercent = 0,
+    } = isSharedEntry(route)
+      ? budgets
+      : getRouteSettings(config, getRouteLabel(route), { budgets }).budgets;
+
+    if (isGlobal && maxGlobal > 0 && size > maxGlobal) {
+      violations.push({ route, budget: "maxGlobal", actual: size, limit: maxGlobal });
+    }
+    const firstLoad = getFirstLoadSize(currentRoutes, route, metric);
+    if (!isSharedEntry(route) && maxFirstLoad > 0 && firstLoad > maxFirstLoad) {
+      violations.push({ route, budget: "maxFirstLoad", actual: firstLoad, limit: maxFirstLoad });
+    }
+
+    // Zero baselines come from stats that were never measured (e.g. the legacy
+    // webpack-stats.json fallback), so there is nothing to compare against.
+    const baseline = baselineRoutes[route];
+    if (!baseline || !(baseline[metric] > 0)) continue;
+    const increase = size - baseline[metric];
+    if (increase <= 0) continue;
+
+    if (maxIncreaseBytes > 0 && increase > maxIncreaseBytes) {
+      violations.push({
+        route,
+        budget: "maxIncreaseBytes",
+        actual: increase,
+        limit: maxIncreaseBytes,
+      });
+    }
+    if (maxIncreasePercent > 0) {
+      const percent = (increase / baseline[metric]) * 100;
+      if (percent > maxIncreasePercent) {
+        violations.push({
+          route,
+          budget: "maxIncreasePercent",
+          actual: percent,
+          limit: maxIncreasePercent,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+function formatBudgetValue(budget, value) {
+  if (budget === "maxIncreasePercent") return `+${parseFloat(value.toFixed(2))}%`;
+  if (budget === "maxIncreaseBytes") return `+${formatBytes(value)}`;
+  return formatBytes(value);
+}
+
+/**
+ * Formats budget violations as a markdown section for the PR comment.
+ *
+ * @param {Array<{ route: string, budget: string, actual: number, limit: number }>} violations
+ * @returns {string} Empty string when there are no violations
+ */
+function formatBudgetViolations(violations) {
+  if (violations.length === 0) return "";
+  const lines = violations.map(
+    ({ route, budget, actual, limit }) =>
+      `- \`${route}\`: ${BUDGET_LABELS[budget]} \`${formatBudgetValue(budget, actual)}\` exceeds the \`${formatBudgetValue(budget, limit)}\` budget`,
+  );
+  return `\n### 🚨 Budget violations\n\n${lines.join("\n")}\n`;
+}
+
+/**
+ * Escapes text for a workflow command, where `%` and line breaks are special.
+ * Property values also escape `:` and `,`.
+ *
+ * @param {string} text
+ * @param {boolean} [isProperty]
+ * @returns {string}
+ */
+function escapeCommandValue(text, isProperty = false) {
+  const escaped = text.replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+  return isProperty ? escaped.replace(/:/g, "%3A").replace(/,/g, "%2C") : escaped;
+}
+
+/**
+ * Formats budget violations as `::error` (or `::warning`) workflow commands,
+ * which GitHub shows as annotations on the run and the checks of a PR, also
+ * where no comment can be posted.
+ *
+ * @param {Array<{ route: string, budget: string, actual: number, limit: number }>} violations
+ * @param {{ level?: "error" | "warning", appName?: string }} [options]
+ *   `appName` is added to the title, so the annotations of several apps can be told apart
+ * @returns {string} One command per line; empty string when there are no violations
+ */
+function formatBudgetAnnotations(violations, options = {}) {
+  const { level = "error", appName = "" } = options;
+  const title = escapeCommandValue(
+    appName ? `Bundle size budget exceeded (${appName})` : "Bundle size budget exceeded",
+    true,
+  );
+  return violations
+    .map(({ route, budget, actual, limit }) => {
+      const message = `${route}: ${BUDGET_LABELS[budget]} ${formatBudgetValue(budget, actual)} exceeds the ${formatBudgetValue(budget, limit)} budget`;
+      return `::${level} title=${title}::${escapeCommandValue(message)}\n`;
+    })
+    .join("");
+}
+
+module.exports = {
+  checkBudgets,
+  formatBudgetViolations,
+  formatBudgetAnnotations,
+};
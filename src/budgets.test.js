@@ -0,0 +1,172 @@
+"use strict";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkBudgets, formatBudgetViolations, formatBudgetAnnotations } = require("./budgets.js");
+
+// ---------------------------------------------------------------------------
+// checkBudgets
+// ---------------------------------------------------------------------------
+
+describe("checkBudgets", () => {
+  const current = {
+    global: { gzip: 5000 },
+    "/": { gzip: 1000 },
+    "/dashboard": { gzip: 3000 },
+  };
+  const baseline = {
+    global: { gzip: 4000 },
+    "/": { gzip: 1000 },
+    "/dashboard": { gzip: 2000 },
+  };
+
+  test("returns no violations without budgets", () => {
+    assert.deepEqual(checkBudgets(current, baseline), []);
+  });
+
+  test("flags routes whose first load exceeds maxFirstLoad", () => {
+    assert.deepEqual(checkBudgets(current, baseline, { maxFirstLoad: 7000 }), [
+      { route: "/dashboard", budget: "maxFirstLoad", actual: 8000, limit: 7000 },
+    ]);
+  });
+
+  test("compares renamed routes with their old route", () => {
+    const moved = { global: { gzip: 4000 }, "/(checkout)/cart": { gzip: 250000 } };
+    const before = { global: { gzip: 4000 }, "/(shop)/cart": { gzip: 50000 } };
+    assert.deepEqual(checkBudgets(moved, before, { maxIncreaseBytes: 100000 }), [
+      { route: "/(checkout)/cart", budget: "maxIncreaseBytes", actual: 200000, limit: 100000 },
+    ]);
+  });
+
+  test("flags global size above maxGlobal", () => {
+    assert.deepEqual(checkBudgets(current, baseline, { maxGlobal: 4500 }), [
+      { route: "global", budget: "maxGlobal", actual: 5000, limit: 4500 },
+    ]);
+  });
+
+  test("flags increases above maxIncreaseBytes, including global", () => {
+    assert.deepEqual(checkBudgets(current, baseline, { maxIncreaseBytes: 999 }), [
+      { route: "/dashboard", budget: "maxIncreaseBytes", actual: 1000, limit: 999 },
+      { route: "global", budget: "maxIncreaseBytes", actual: 1000, limit: 999 },
+    ]);
+  });
+
+  test("flags increases above maxIncreasePercent", () => {
+    assert.deepEqual(checkBudgets(current, baseline, { maxIncreasePercent: 30 }), [
+      { route: "/dashboard", budget: "maxIncreasePercent", actual: 50, limit: 30 },
+    ]);
+  });
+
+  test("ignores increase budgets for new routes and zero baselines", () => {
+    const routes = { "/new": { gzip: 9000 }, "/zero": { gzip: 100 } };
+    const budgets = { maxIncreaseBytes: 1, maxIncreasePercent: 1 };
+    assert.deepEqual(checkBudgets(routes, { "/zero": { gzip: 0 } }, budgets), []);
+  });
+
+  test("skips ignored routes and applies per-route budgets", () => {
+    const config = {
+      ignore: ["/dashboard"],
+      overrides: [{ routes: ["/"], budgets: { maxFirstLoad: 5500, maxIncreaseBytes: 0 } }],
+    };
+    assert.deepEqual(
+      checkBudgets(current, baseline, { maxFirstLoad: 9000, maxIncreaseBytes: 500 }, config),
+      [
+        { route: "/", budget: "maxFirstLoad", actual: 6000, limit: 5500 },
+        { route: "global", budget: "maxIncreaseBytes", actual: 1000, limit: 500 },
+      ],
+    );
+  });
+
+  test("checks server bundles only against maxServerBundle", () => {
+    const routes = { global: { gzip: 5000 }, "server:middleware": { gzip: 9000 } };
+    const budgets = { maxFirstLoad: 6000, maxIncreaseBytes: 1, maxServerBundle: 8000 };
+    assert.deepEqual(checkBudgets(routes, { "server:middleware": { gzip: 1000 } }, budgets), [
+      { route: "server:middleware", budget: "maxServerBundle", actual: 9000, limit: 8000 },
+    ]);
+  });
+
+  test("adds the Pages Router global to the first load of pages", () => {
+    const routes = {
+      global: { gzip: 5000 },
+      "pages:global": { gzip: 1000 },
+      "pages:/about": { gzip: 1500 },
+    };
+    assert.deepEqual(checkBudgets(routes, {}, { maxFirstLoad: 2000, maxGlobal: 4000 }), [
+      { route: "global", budget: "maxGlobal", actual: 5000, limit: 4000 },
+      { route: "pages:/about", budget: "maxFirstLoad", actual: 2500, limit: 2000 },
+    ]);
+  });
+
+  test("adds shared chunk clusters to the first load of their routes", () => {
+    const routes = {
+      global: { gzip: 1000 },
+      "shared:/(shop)/*": { gzip: 3000, routes: ["/(shop)/cart"] },
+      "/(shop)/cart": { gzip: 500, clusters: ["shared:/(shop)/*"] },
+    };
+    assert.deepEqual(checkBudgets(routes, {}, { maxFirstLoad: 4000 }), [
+      { route: "/(shop)/cart", budget: "maxFirstLoad", actual: 4500, limit: 4000 },
+    ]);
+  });
+
+  test("uses the primary compression metric of the report", () => {
+    const routes = { "/": { raw: 9000, brotli: 800 } };
+    assert.deepEqual(checkBudgets(routes, {}, { maxFirstLoad: 1000 }), []);
+    assert.equal(checkBudgets(routes, {}, { maxFirstLoad: 700 })[0].actual, 800);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// formatBudgetViolations
+// ---------------------------------------------------------------------------
+
+describe("formatBudgetViolations", () => {
+  test("returns an empty string without violations", () => {
+    assert.equal(formatBudgetViolations([]), "");
+  });
+
+  test("lists each violation", () => {
+    assert.equal(
+      formatBudgetViolations([
+        { route: "/dashboard", budget: "maxFirstLoad", actual: 8192, limit: 7168 },
+        { route: "/dashboard", budget: "maxIncreasePercent", actual: 50, limit: 30 },
+        { route: "global", budget: "maxIncreaseBytes", actual: 1024, limit: 512 },
+        { route: "global", budget: "maxGlobal", actual: 5120, limit: 4096 },
+      ]),
+      "\n### 🚨 Budget violations\n\n" +
+        "- `/dashboard`: first load `8 KB` exceeds the `7 KB` budget\n" +
+        "- `/dashboard`: increase `+50%` exceeds the `+30%` budget\n" +
+        "- `global`: increase `+1 KB` exceeds the `+512 B` budget\n" +
+        "- `global`: global size `5 KB` exceeds the `4 KB` budget\n",
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// formatBudgetAnnotations
+// ---------------------------------------------------------------------------
+
+describe("formatBudgetAnnotations", () => {
+  const violations = [
+    { route: "/dashboard", budget: "maxFirstLoad", actual: 8192, limit: 7168 },
+    { route: "global", budget: "maxIncreasePercent", actual: 50, limit: 30 },
+  ];
+
+  test("returns an empty string without violations", () => {
+    assert.equal(formatBudgetAnnotations([]), "");
+  });
+
+  test("emits an error annotation per violation", () => {
+    assert.equal(
+      formatBudgetAnnotations(violations),
+      "::error title=Bundle size budget exceeded::/dashboard: first load 8 KB exceeds the 7 KB budget\n" +
+        "::error title=Bundle size budget exceeded::global: increase +50%25 exceeds the +30%25 budget\n",
+    );
+  });
+
+  test("emits warnings and names the app in the title", () => {
+    assert.equal(
+      formatBudgetAnnotations(violations.slice(0, 1), { level: "warning", appName: "web: shop" }),
+      "::warning title=Bundle size budget exceeded (web%3A shop)::/dashboard: first load 8 KB exceeds the 7 KB budget\n",
+    );
+  });
+});
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  parseStatsFile,
+  loadRouteSizes,
+  generateReport,
+  generateJsonReport,
+  saveRouteSizes,
+} = require("./parse-stats.js");
+const { loadConfig } = require("./config.js");
+const { readBuildJson, reportDiagnostics } = require("./validate.js");
+const { generateTreemapHtml } = require("./treemap.js");
+
+const USAGE = `Usage:
+  nextjs-turbopack-bundle-size compare --base <path> --head <path> [options]
+  nextjs-turbopack-bundle-size snapshot --stats <path> --output <file> [options]
+
+<path> is an app directory, its .next directory, a stats file, or a file
+written by "snapshot".
+
+Options:
+  --json                             Print the JSON diff instead of the table (compare)
+  --threshold <bytes>                Byte threshold below which a change is ignored (compare)
+  --budget-percent-increase-red <n>  Increases above n% show 🔴, others 🟡 (compare)
+  --app-name <name>                  Application name in the report header (compare)
+  --html <file>                      Also write an HTML treemap of the chunks (compare)
+  --compression <mode>               gzip (default), brotli or both
+  --css                              Track CSS sizes
+  --async                            Track lazy-loaded (dynamic import) chunks
+  --layouts                          Attribute chunks to nested layout segments
+  --shared-clusters                  Report chunks shared by some routes as their own rows
+  --server-bundles                   Track middleware and edge function bundles
+  --strict                           Fail on a missing or partly malformed stats file
+  --config <path>                    Config file with ignored routes and per-route overrides
+                                     (default: bundle-size.config.json, if it exists)
+  -h, --help                         Show this help
+`;
+
+const OPTIONS = {
+  base: { type: "string" },
+  head: { type: "string" },
+  stats: { type: "string" },
+  output: { type: "string" },
+  json: { type: "boolean", default: false },
+  threshold: { type: "string", default: "0" },
+  "budget-percent-increase-red": { type: "string", default: "0" },
+  "app-name": { type: "string", default: "" },
+  html: { type: "string", default: "" },
+  compression: { type: "string", default: "gzip" },
+  css: { type: "boolean", default: false },
+  async: { type: "boolean", default: false },
+  layouts: { type: "boolean", default: false },
+  "shared-clusters": { type: "boolean", default: false },
+  "server-bundles": { type: "boolean", default: false },
+  strict: { type: "boolean", default: false },
+  config: { type: "string", default: "" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const STATS_IN_DOT_NEXT = [
+  path.join("diagnostics", "route-bundle-stats.json"),
+  path.join("server", "webpack-stats.json"),
+];
+
+/**
+ * Resolves a CLI path argument to a stats or snapshot file.
+ *
+ * Files are returned as-is. For directories, the stats file is looked up in
+ * the directory itself when it is named `.next`, otherwise in its `.next`
+ * subdirectory.
+ *
+ * @param {string} target
+ * @returns {string}
+ */
+function findStatsFile(target) {
+  if (!fs.existsSync(target)) throw new Error(`Path not found: ${target}`);
+  if (fs.statSync(target).isFile()) return target;
+  const dotNextDir =
+    path.basename(path.resolve(target)) === ".next" ? target : path.join(target, ".next");
+  for (const relativePath of STATS_IN_DOT_NEXT) {
+    const candidate = path.join(dotNextDir, relativePath);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  throw new Error(
+    `No stats file found in ${dotNextDir}. Build the app with TURBOPACK_STATS=1 first.`,
+  );
+}
+
+/**
+ * Loads route sizes from a `.next` directory, a stats file, or a snapshot.
+ *
+ * Empty, truncated and invalid files are reported like in `parseStatsFile`,
+ * and files that are neither stats nor a snapshot are rejected.
+ *
+ * @param {string} target
+ * @param {{ compression?: string, css?: boolean, async?: boolean, layouts?: boolean, sharedClusters?: boolean, serverBundles?: boolean, ignore?: string[], strict?: boolean }} options
+ * @returns {Record<string, object>}
+ */
+function loadRoutes(target, options) {
+  const file = findStatsFile(target);
+  const { content, diagnostic } = readBuildJson(file);
+  if (diagnostic) reportDiagnostics([diagnostic]);
+  const isObject = content !== null && typeof content === "object" && !Array.isArray(content);
+  if (
+    Array.isArray(content) ||
+    (isObject && ("namedChunkGroups" in content || "entrypoints" in content))
+  ) {
+    return parseStatsFile(file, true, options);
+  }
+  if (isObject && ("schemaVersion" in content || "routes" in content)) {
+    return loadRouteSizes(file);
+  }
+  throw new Error(
+    `${file} is neither a stats file nor a file written by "snapshot". Pass the .next directory of the app, its stats file, or a snapshot.`,
+  );
+}
+
+function requireOption(values, name) {
+  if (!values[name]) throw new Error(`Missing required option --${name}`);
+  return values[name];
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @param {{ stdout: { write: (chunk: string) => void }, stderr: { write: (chunk: string) => void } }} [io]
+ * @returns {number} Exit code
+ */
+function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    const [command] = positionals;
+
+    if (values.help || !command) {
+      (values.help ? io.stdout : io.stderr).write(USAGE);
+      return values.help ? 0 : 1;
+    }
+
+    const config = loadConfig(values.config);
+    const statsOptions = {
+      compression: values.compression,
+      css: values.css,
+      async: values.async,
+      layouts: values.layouts,
+      sharedClusters: values["shared-clusters"],
+      serverBundles: values["server-bundles"],
+      ignore: config.ignore,
+      strict: values.strict,
+    };
+
+    if (command === "compare") {
+      const baselineRoutes = loadRoutes(requireOption(values, "base"), statsOptions);
+      const currentRoutes = loadRoutes(requireOption(values, "head"), statsOptions);
+      const threshold = parseInt(values.threshold) || 0;
+      if (values.html) {
+        const appName = values["app-name"];
+        const title = appName ? `${appName} bundle treemap` : undefined;
+        fs.writeFileSync(
+          values.html,
+          generateTreemapHtml(currentRoutes, baselineRoutes, { title, config }),
+        );
+      }
+      if (values.json) {
+        const jsonReport = generateJsonReport(currentRoutes, baselineRoutes, { threshold, config });
+        io.stdout.write(JSON.stringify(jsonReport, null, 2) + "\n");
+      } else {
+        io.stdout.write(
+          generateReport(
+            currentRoutes,
+            baselineRoutes,
+            threshold,
+            parseInt(values["budget-percent-increase-red"]) || 0,
+            values["app-name"],
+            { config },
+          ),
+        );
+      }
+      return 0;
+    }
+
+    if (command === "snapshot") {
+      const statsPath = findStatsFile(requireOption(values, "stats"));
+      const outputPath = requireOption(values, "output");
+      saveRouteSizes(statsPath, outputPath, statsOptions);
+      io.stdout.write(`✅ Saved route sizes to ${outputPath}\n`);
+      return 0;
+    }
+
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  } catch (error) {
+    io.stderr.write(`❌ ${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run };
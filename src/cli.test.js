@@ -0,0 +1,169 @@
+"use strict";
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { run } = require("./cli.js");
+
+const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `bundle-size-cli-${process.pid}`);
+
+/**
+ * Writes a minimal Next.js 16.2+ build with one shared chunk and one chunk
+ * per route into `<tmpRoot>/<name>/.next`.
+ */
+function writeBuild(name, routes) {
+  const dotNext = path.join(tmpRoot, name, ".next");
+  const chunksDir = path.join(dotNext, "static", "chunks");
+  fs.mkdirSync(chunksDir, { recursive: true });
+  fs.mkdirSync(path.join(dotNext, "diagnostics"), { recursive: true });
+  fs.writeFileSync(path.join(chunksDir, "shared.js"), "// shared");
+  const stats = Object.entries(routes).map(([route, source]) => {
+    const chunk = `${route.replace(/\W/g, "") || "index"}.js`;
+    fs.writeFileSync(path.join(chunksDir, chunk), source);
+    return {
+      route,
+      firstLoadUncompressedJsBytes: source.length,
+      firstLoadChunkPaths: [".next/static/chunks/shared.js", `.next/static/chunks/${chunk}`],
+    };
+  });
+  fs.writeFileSync(
+    path.join(dotNext, "diagnostics", "route-bundle-stats.json"),
+    JSON.stringify(stats),
+  );
+  return dotNext;
+}
+
+function capture() {
+  const io = { out: "", err: "" };
+  io.stdout = { write: (chunk) => (io.out += chunk) };
+  io.stderr = { write: (chunk) => (io.err += chunk) };
+  return io;
+}
+
+describe("cli", () => {
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("compare prints the markdown report", () => {
+    const base = writeBuild("base", { "/": "// home", "/about": "// about" });
+    const head = writeBuild("head", { "/": "// home", "/about": "// about ".repeat(200) });
+    const io = capture();
+    assert.equal(run(["compare", "--base", base, "--head", head], io), 0);
+    assert.ok(io.out.includes("| Route | Size (gzipped) |"));
+    assert.ok(io.out.includes("`/about`"));
+    assert.ok(!io.out.includes("`/` |"), "unchanged route should not be listed");
+  });
+
+  test("compare accepts app directories and prints JSON with --json", () => {
+    writeBuild("base", { "/": "// home" });
+    writeBuild("head", { "/": "// home", "/new": "// new page" });
+    const io = capture();
+    const code = run(
+      [
+        "compare",
+        "--base",
+        path.join(tmpRoot, "base"),
+        "--head",
+        path.join(tmpRoot, "head"),
+        "--json",
+      ],
+      io,
+    );
+    assert.equal(code, 0);
+    const report = JSON.parse(io.out);
+    assert.equal(report.routes.find((r) => r.route === "/new").status, "new");
+  });
+
+  test("compare --json prints only JSON when the stats have warnings", (t) => {
+    const base = writeBuild("base", { "/": "// home" });
+    const head = writeBuild("head", { "/": "// home", "/about": "// about" });
+    const statsPath = path.join(head, "diagnostics", "route-bundle-stats.json");
+    const stats = JSON.parse(fs.readFileSync(statsPath, "utf8"));
+    fs.writeFileSync(statsPath, JSON.stringify([...stats, { route: "/broken" }]));
+    const stdout = [];
+    t.mock.method(console, "log", (message) => stdout.push(message));
+    const warn = t.mock.method(console, "warn", () => {});
+    const io = capture();
+    assert.equal(run(["compare", "--base", base, "--head", head, "--json"], io), 0);
+    assert.equal(JSON.parse(io.out).routes.find((r) => r.route === "/about").status, "new");
+    assert.deepEqual(stdout, []);
+    assert.match(warn.mock.calls[0].arguments[0], /Skipped 1 of 3 entries/);
+  });
+
+  test("compare leaves out the routes ignored by --config", () => {
+    const base = writeBuild("base", { "/": "// home", "/admin": "// admin" });
+    const head = writeBuild("head", { "/": "// home", "/admin": "// admin ".repeat(200) });
+    const configPath = path.join(tmpRoot, "bundle-size.config.json");
+    fs.writeFileSync(configPath, JSON.stringify({ ignore: ["/admin/**"] }));
+    const io = capture();
+    assert.equal(run(["compare", "--base", base, "--head", head, "--config", configPath], io), 0);
+    assert.ok(io.out.includes("no changes to the JavaScript bundle"));
+  });
+
+  test("compare writes the HTML treemap with --html", () => {
+    const base = writeBuild("base", { "/": "// home" });
+    const head = writeBuild("head", { "/": "// home", "/about": "// about" });
+    const htmlPath = path.join(tmpRoot, "treemap.html");
+    const io = capture();
+    const code = run(
+      ["compare", "--base", base, "--head", head, "--html", htmlPath, "--app-name", "shop"],
+      io,
+    );
+    assert.equal(code, 0);
+    const html = fs.readFileSync(htmlPath, "utf8");
+    assert.ok(html.includes("<title>shop bundle treemap</title>"));
+    assert.ok(html.includes('"name":"/about"'));
+    assert.ok(io.out.includes("`/about`"), "still prints the report");
+  });
+
+  test("snapshot saves route sizes that compare can read back", () => {
+    const base = writeBuild("base", { "/": "// home", "/about": "// about" });
+    const snapshotPath = path.join(tmpRoot, "base-sizes.json");
+    const io = capture();
+    assert.equal(run(["snapshot", "--stats", base, "--output", snapshotPath], io), 0);
+    assert.ok(fs.existsSync(snapshotPath));
+
+    const compareIo = capture();
+    assert.equal(run(["compare", "--base", snapshotPath, "--head", base], compareIo), 0);
+    assert.ok(compareIo.out.includes("no changes to the JavaScript bundle"));
+  });
+
+  test("fails with a message when the stats file is missing", () => {
+    fs.mkdirSync(path.join(tmpRoot, "empty", ".next"), { recursive: true });
+    const io = capture();
+    assert.equal(run(["compare", "--base", path.join(tmpRoot, "empty"), "--head", "x"], io), 1);
+    assert.ok(io.err.includes("TURBOPACK_STATS=1"));
+  });
+
+  test("fails with a message on truncated, null and unknown input", () => {
+    const head = writeBuild("head", { "/": "// home" });
+    const cases = [
+      ['[{"route": "/"', "is truncated"],
+      ["null", "is neither a stats file nor"],
+      ['{"version": 3}', "is neither a stats file nor"],
+    ];
+    for (const [content, message] of cases) {
+      const file = path.join(tmpRoot, "input.json");
+      fs.writeFileSync(file, content);
+      const io = capture();
+      assert.equal(run(["compare", "--base", file, "--head", head], io), 1);
+      assert.ok(io.err.includes(message), io.err);
+    }
+  });
+
+  test("fails on missing options and unknown commands", () => {
+    const io = capture();
+    assert.equal(run(["compare"], io), 1);
+    assert.ok(io.err.includes("Missing required option --base"));
+    assert.equal(run(["publish"], io), 1);
+    assert.ok(io.err.includes('Unknown command "publish"'));
+  });
+
+  test("prints usage with --help", () => {
+    const io = capture();
+    assert.equal(run(["--help"], io), 0);
+    assert.ok(io.out.startsWith("Usage:"));
+  });
+});
@@ -0,0 +1,30 @@
+"use strict";
+
+// Measures a batch of files for `createSizeCache().prefetch` (see compress.js).
+
+const { workerData } = require("worker_threads");
+
+// Status of a worker that has posted its results or an error.
+const WORKER_DONE = 1;
+
+const { filePaths, metrics, port, state, slot } = workerData;
+
+try {
+  const fs = require("fs");
+  const { hashContent, measureBuffer } = require("./compress.js");
+  const results = filePaths.map((filePath) => {
+    const buffer = fs.readFileSync(filePath);
+    const result = {
+      filePath,
+      hash: hashContent(buffer),
+      sizes: measureBuffer(buffer, metrics),
+    };
+    Atomics.add(state, slot * 2 + 1, 1);
+    return result;
+  });
+  port.postMessage({ results });
+} catch (error) {
+  port.postMessage({ error: error.message });
+} finally {
+  Atomics.store(state, slot * 2, WORKER_DONE);
+}
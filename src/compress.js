@@ -0,0 +1,224 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { Worker, MessageChannel, receiveMessageOnPort } = require("worker_threads");
+
+const SIZE_METRICS = {
+  raw: (buffer) => buffer.length,
+  gzip: (buffer) => zlib.gzipSync(buffer).length,
+  brotli: (buffer) => zlib.brotliCompressSync(buffer).length,
+};
+
+/**
+ * Builds with fewer files than this per worker are compressed on the main
+ * thread, where starting a worker costs more than it saves.
+ */
+const MIN_FILES_PER_WORKER = 32;
+
+/**
+ * A worker that reports no progress for this long is considered dead, e.g.
+ * after failing to start or running out of memory. Workers report progress
+ * after each file, so this bounds the time to compress one file.
+ */
+const WORKER_STALL_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * How often the main thread wakes up to check on the workers.
+ */
+const WORKER_POLL_INTERVAL_MS = 100;
+
+/**
+ * Value of a worker's status slot until it has posted its results (see
+ * compress-worker.js).
+ */
+const WORKER_RUNNING = 0;
+
+function hashContent(buffer) {
+  return crypto.createHash("sha1").update(buffer).digest("hex");
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {string[]} metrics - Keys of `SIZE_METRICS`
+ * @returns {Record<string, number>} metric → bytes
+ */
+function measureBuffer(buffer, metrics) {
+  const sizes = {};
+  for (const metric of metrics) sizes[metric] = SIZE_METRICS[metric](buffer);
+  return sizes;
+}
+
+function getDefaultWorkerCount(fileCount) {
+  const cpus = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  return Math.min(cpus, Math.floor(fileCount / MIN_FILES_PER_WORKER));
+}
+
+/**
+ * Measures files in worker threads and blocks until all of them are done, so
+ * callers stay synchronous. Each worker has a status slot and a progress
+ * counter in shared memory, and leaves its results on a message port. The
+ * main thread waits in short slices and fails when a worker stops making
+ * progress, since the `exit` event of a dead worker cannot fire while it is
+ * blocked.
+ *
+ * @param {string[]} filePaths
+ * @param {string[]} metrics
+ * @param {number} workerCount
+ * @param {number} [stallTimeout] - See `WORKER_STALL_TIMEOUT_MS`
+ * @returns {Array<{ filePath: string, hash: string, sizes: Record<string, number> }>}
+ */
+function measureInWorkers(filePaths, metrics, workerCount, stallTimeout = WORKER_STALL_TIMEOUT_MS) {
+  // [status, progress] per worker
+  const state = new Int32Array(new SharedArrayBuffer(workerCount * 2 * 4));
+  const batches = Array.from({ length: workerCount }, () => []);
+  filePaths.forEach((filePath, i) => batches[i % workerCount].push(filePath));
+
+  const workers = batches.map((batch, slot) => {
+    const { port1, port2 } = new MessageChannel();
+    const worker = new Worker(path.join(__dirname, "compress-worker.js"), {
+      workerData: { filePaths: batch, metrics, port: port2, state, slot },
+      transferList: [port2],
+    });
+    worker.unref();
+    return { worker, port: port1, slot, progress: -1, lastProgressAt: Date.now() };
+  });
+
+  try {
+    const sleep = new Int32Array(new SharedArrayBuffer(4));
+    for (;;) {
+      const now = Date.now();
+      let running = 0;
+      for (const entry of workers) {
+        if (Atomics.load(state, entry.slot * 2) !== WORKER_RUNNING) continue;
+        running++;
+        const progress = Atomics.load(state, entry.slot * 2 + 1);
+        if (progress !== entry.progress) {
+          entry.progress = progress;
+          entry.lastProgressAt = now;
+        } else if (now - entry.lastProgressAt > stallTimeout) {
+          throw new Error(
+            `A compression worker stopped responding after ${progress} files; it may have failed to start or run out of memory`,
+          );
+        }
+      }
+      if (running === 0) break;
+      Atomics.wait(sleep, 0, 0, WORKER_POLL_INTERVAL_MS);
+    }
+
+    const results = [];
+    for (const { port } of workers) {
+      const received = receiveMessageOnPort(port);
+      if (!received) throw new Error("A compression worker exited without results");
+      if (received.message.error) throw new Error(received.message.error);
+      results.push(...received.message.results);
+    }
+    return results;
+  } finally {
+    for (const { worker, port } of workers) {
+      port.close();
+      worker.terminate();
+    }
+  }
+}
+
+/**
+ * Creates a cache of file sizes keyed by content hash, so a chunk shared by
+ * many routes, or unchanged since the previous build, is compressed once per
+ * metric.
+ *
+ * A measurement starts with `prefetch`, which reads and hashes the files
+ * again, since they may have changed since the last one. After that, each
+ * file is looked up by the hash it had when it was read.
+ *
+ * @returns {{
+ *   getSize: (filePath: string, metric: string) => number,
+ *   getHash: (filePath: string) => string,
+ *   prefetch: (filePaths: string[], metrics: string[], options?: { workers?: number }) => void,
+ * }}
+ */
+function createSizeCache() {
+  // content hash → metric → bytes
+  const sizesByHash = new Map();
+  // file path → content hash, for the files read in the current measurement
+  const hashes = new Map();
+  // Metrics asked for so far. A file read for one of them is measured in all
+  // of them, since callers ask for each metric of a file in turn.
+  const metrics = new Set();
+
+  const getSizes = (hash) => {
+    if (!sizesByHash.has(hash)) sizesByHash.set(hash, {});
+    return sizesByHash.get(hash);
+  };
+
+  const readFile = (filePath) => {
+    const buffer = fs.readFileSync(filePath);
+    const hash = hashContent(buffer);
+    hashes.set(filePath, hash);
+    return { buffer, hash };
+  };
+
+  const measureMissing = (buffer, hash, fileMetrics) => {
+    const sizes = getSizes(hash);
+    const missing = fileMetrics.filter((metric) => !(metric in sizes));
+    Object.assign(sizes, measureBuffer(buffer, missing));
+  };
+
+  return {
+    /**
+     * Returns the size of a file, compressing it on the main thread when it
+     * is not cached.
+     */
+    getSize(filePath, metric) {
+      metrics.add(metric);
+      const hash = hashes.get(filePath);
+      if (hash !== undefined && metric in getSizes(hash)) return getSizes(hash)[metric];
+      const file = readFile(filePath);
+      measureMissing(file.buffer, file.hash, [...metrics]);
+      return getSizes(file.hash)[metric];
+    },
+
+    /**
+     * Returns the content hash of a file, computed when it was read.
+     */
+    getHash(filePath) {
+      return hashes.get(filePath) ?? readFile(filePath).hash;
+    },
+
+    /**
+     * Starts a measurement: hashes the files and measures the ones whose
+     * content is not cached, spread across worker threads. The number of
+     * workers defaults to one per CPU, and none for small builds.
+     */
+    prefetch(filePaths, fileMetrics, options = {}) {
+      for (const metric of fileMetrics) metrics.add(metric);
+      hashes.clear();
+      const uniquePaths = [...new Set(filePaths)];
+      const workerCount = Math.min(
+        options.workers ?? getDefaultWorkerCount(uniquePaths.length),
+        uniquePaths.length,
+      );
+      const pending = [];
+      for (const filePath of uniquePaths) {
+        const { buffer, hash } = readFile(filePath);
+        const sizes = getSizes(hash);
+        if (fileMetrics.every((metric) => metric in sizes)) continue;
+        if (workerCount < 2) measureMissing(buffer, hash, fileMetrics);
+        else pending.push(filePath);
+      }
+      if (pending.length === 0) return;
+      const results = measureInWorkers(pending, fileMetrics, Math.min(workerCount, pending.length));
+      for (const { hash, sizes } of results) Object.assign(getSizes(hash), sizes);
+    },
+  };
+}
+
+module.exports = {
+  SIZE_METRICS,
+  createSizeCache,
+  hashContent,
+  measureBuffer,
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { createSizeCache } = require("./compress.js");
+
+const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `bundle-size-compress-${process.pid}`);
+
+function writeChunks(count) {
+  fs.mkdirSync(tmpRoot, { recursive: true });
+  return Array.from({ length: count }, (_, i) => {
+    const filePath = path.join(tmpRoot, `chunk-${i}.js`);
+    fs.writeFileSync(filePath, `export const value${i} = ${JSON.stringify("x".repeat(i * 50))};`);
+    return filePath;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// createSizeCache
+// ---------------------------------------------------------------------------
+
+describe("createSizeCache", () => {
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("measures files like zlib", () => {
+    const [filePath] = writeChunks(2).slice(1);
+    const buffer = fs.readFileSync(filePath);
+    const cache = createSizeCache();
+    assert.equal(cache.getSize(filePath, "raw"), buffer.length);
+    assert.equal(cache.getSize(filePath, "gzip"), zlib.gzipSync(buffer).length);
+    assert.equal(cache.getSize(filePath, "brotli"), zlib.brotliCompressSync(buffer).length);
+  });
+
+  test("measures a file again when its content changes", () => {
+    const [filePath] = writeChunks(1);
+    const cache = createSizeCache();
+    const before = cache.getSize(filePath, "gzip");
+    fs.writeFileSync(filePath, "x".repeat(10000) + Math.random());
+    cache.prefetch([filePath], ["gzip"]);
+    const after = cache.getSize(filePath, "gzip");
+    assert.notEqual(after, before);
+    assert.equal(after, zlib.gzipSync(fs.readFileSync(filePath)).length);
+  });
+
+  test("tells files apart by content when their size and mtime are the same", () => {
+    const [filePath] = writeChunks(1);
+    fs.writeFileSync(filePath, "a".repeat(5000));
+    const { mtime } = fs.statSync(filePath);
+    const cache = createSizeCache();
+    cache.prefetch([filePath], ["gzip"]);
+    const before = cache.getSize(filePath, "gzip");
+    const content = Array.from({ length: 5000 }, (_, i) =>
+      String.fromCharCode(97 + ((i * 7) % 26)),
+    );
+    fs.writeFileSync(filePath, content.join(""));
+    fs.utimesSync(filePath, mtime, mtime);
+    cache.prefetch([filePath], ["gzip"]);
+    assert.notEqual(cache.getSize(filePath, "gzip"), before);
+    assert.equal(cache.getSize(filePath, "gzip"), zlib.gzipSync(fs.readFileSync(filePath)).length);
+  });
+
+  test("reads and hashes each file once", (t) => {
+    const [filePath] = writeChunks(1);
+    const cache = createSizeCache();
+    const readFileSync = t.mock.method(fs, "readFileSync");
+    for (let route = 0; route < 3; route++) {
+      for (const metric of ["raw", "gzip", "brotli"]) cache.getSize(filePath, metric);
+    }
+    const hash = cache.getHash(filePath);
+    assert.match(hash, /^[0-9a-f]{40}$/);
+    assert.ok(readFileSync.mock.callCount() <= 3, "one read, plus one per metric first asked for");
+
+    const [otherPath] = writeChunks(2).slice(1);
+    const before = readFileSync.mock.callCount();
+    for (const metric of ["raw", "gzip", "brotli"]) cache.getSize(otherPath, metric);
+    cache.getHash(otherPath);
+    assert.equal(readFileSync.mock.callCount() - before, 1, "known metrics are measured together");
+  });
+
+  test("prefetches sizes in worker threads with the same results", (t) => {
+    const filePaths = writeChunks(12);
+    const cache = createSizeCache();
+    cache.prefetch([...filePaths, filePaths[0]], ["raw", "gzip", "brotli"], { workers: 3 });
+    const buffers = filePaths.map((filePath) => fs.readFileSync(filePath));
+    const readFileSync = t.mock.method(fs, "readFileSync");
+    filePaths.forEach((filePath, i) => {
+      assert.equal(cache.getSize(filePath, "gzip"), zlib.gzipSync(buffers[i]).length);
+      assert.equal(cache.getSize(filePath, "brotli"), zlib.brotliCompressSync(buffers[i]).length);
+    });
+    assert.equal(readFileSync.mock.callCount(), 0, "prefetched sizes are not read again");
+  });
+
+  test("reports files the workers cannot read", () => {
+    const cache = createSizeCache();
+    const missing = path.join(tmpRoot, "missing.js");
+    assert.throws(
+      () => cache.prefetch([missing, `${missing}.2`], ["gzip"], { workers: 2 }),
+      /ENOENT/,
+    );
+  });
+});
@@ -0,0 +1,190 @@
+"use strict";
+
+const fs = require("fs");
+
+/**
+ * Config file read when no path is given, relative to the working directory.
+ */
+const DEFAULT_CONFIG_PATH = "bundle-size.config.json";
+
+/**
+ * Budgets that can be overridden per route pattern. `maxGlobal` and
+ * `maxServerBundle` are not about routes, so they stay global.
+ */
+const ROUTE_BUDGETS = ["maxFirstLoad", "maxIncreaseBytes", "maxIncreasePercent"];
+
+/**
+ * Settings for the routes matching some patterns. Later overrides win over
+ * earlier ones.
+ *
+ * @typedef {object} RouteOverride
+ * @property {string[]} routes - Route patterns (see `matchesRoute`)
+ * @property {number} [threshold] - Replaces `minimum-change-threshold`
+ * @property {number} [budgetPercentIncreaseRed] - Replaces `budget-percent-increase-red`
+ * @property {{ maxFirstLoad?: number, maxIncreaseBytes?: number, maxIncreasePercent?: number }} [budgets]
+ *   Replace the hard budgets of the same name; 0 disables one
+ */
+
+/**
+ * @typedef {object} Config
+ * @property {string[]} ignore - Patterns of routes left out of the sizes, reports and budgets
+ * @property {RouteOverride[]} overrides
+ */
+
+/**
+ * @type {Config}
+ */
+const EMPTY_CONFIG = { ignore: [], overrides: [] };
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compiles a route pattern: `*` matches within a path segment, and a `**`
+ * segment matches any number of segments, including none.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  const source = pattern
+    .split("/")
+    .slice(1)
+    .map((segment) =>
+      segment === "**" ? "(?:/.*)?" : "/" + segment.split("*").map(escapeRegExp).join("[^/]*"),
+    )
+    .join("");
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Returns whether a route matches any of the patterns, e.g. `/admin/**`
+ * matches `/admin` and `/admin/users/[id]`. Route groups are optional, so
+ * `/admin/**` also matches `/(internal)/admin/users`.
+ *
+ * @param {string} route - Route without the router prefix, e.g. `/blog/[slug]`
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function matchesRoute(route, patterns) {
+  const withoutGroups = route.replace(/\/\([^/)]*\)/g, "") || "/";
+  return patterns.some((pattern) => {
+    const regExp = compilePattern(pattern);
+    return regExp.test(route) || regExp.test(withoutGroups);
+  });
+}
+
+/**
+ * Returns the threshold, red percentage and budgets that apply to a route:
+ * the defaults, replaced by the overrides whose patterns match it.
+ *
+ * @param {Config} config
+ * @param {string} route - Route without the router prefix
+ * @param {{ threshold?: number, budgetPercentIncreaseRed?: number, budgets?: object }} defaults
+ * @returns {{ threshold?: number, budgetPercentIncreaseRed?: number, budgets: object }}
+ */
+function getRouteSettings(config, route, defaults) {
+  const settings = { ...defaults, budgets: { ...defaults.budgets } };
+  for (const override of config.overrides) {
+    if (!matchesRoute(route, override.routes)) continue;
+    if (override.threshold !== undefined) settings.threshold = override.threshold;
+    if (override.budgetPercentIncreaseRed !== undefined) {
+      settings.budgetPercentIncreaseRed = override.budgetPercentIncreaseRed;
+    }
+    Object.assign(settings.budgets, override.budgets);
+  }
+  return settings;
+}
+
+function isPatternList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((pattern) => typeof pattern === "string" && pattern.startsWith("/"))
+  );
+}
+
+function isByteCount(value) {
+  return typeof value === "number" && value >= 0;
+}
+
+/**
+ * Checks a parsed config file and fills in the missing lists.
+ *
+ * @param {unknown} content
+ * @param {string} source - Named in the errors
+ * @returns {Config}
+ */
+function normalizeConfig(content, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid config ${source}: ${message}`);
+  };
+  if (!content || typeof content !== "object" || Array.isArray(content)) {
+    fail("expected an object with ignore and/or overrides");
+  }
+  const { ignore = [], overrides = [] } = content;
+  if (!isPatternList(ignore)) {
+    fail('ignore must be a list of route patterns starting with "/", e.g. "/admin/**"');
+  }
+  if (!Array.isArray(overrides)) fail("overrides must be a list");
+
+  const normalized = overrides.map((override, i) => {
+    const name = `overrides[${i}]`;
+    if (!override || typeof override !== "object") fail(`${name} must be an object`);
+    const { routes, threshold, budgetPercentIncreaseRed, budgets = {} } = override;
+    if (!isPatternList(routes) || routes.length === 0) {
+      fail(`${name}.routes must be a list of route patterns starting with "/"`);
+    }
+    if (threshold !== undefined && !isByteCount(threshold)) {
+      fail(`${name}.threshold must be a number of bytes`);
+    }
+    if (budgetPercentIncreaseRed !== undefined && !isByteCount(budgetPercentIncreaseRed)) {
+      fail(`${name}.budgetPercentIncreaseRed must be a percentage`);
+    }
+    for (const [budget, limit] of Object.entries(budgets)) {
+      if (!ROUTE_BUDGETS.includes(budget)) {
+        fail(`${name}.budgets.${budget} is not a route budget (${ROUTE_BUDGETS.join(", ")})`);
+      }
+      if (!isByteCount(limit)) fail(`${name}.budgets.${budget} must be a non-negative number`);
+    }
+    return {
+      routes,
+      ...(threshold !== undefined && { threshold }),
+      ...(budgetPercentIncreaseRed !== undefined && { budgetPercentIncreaseRed }),
+      budgets,
+    };
+  });
+
+  return { ignore, overrides: normalized };
+}
+
+/**
+ * Reads the config file. Without a path, `bundle-size.config.json` is read
+ * when it exists; a path that was given must exist.
+ *
+ * @param {string} [configPath]
+ * @returns {Config}
+ */
+function loadConfig(configPath = "") {
+  const filePath = configPath || DEFAULT_CONFIG_PATH;
+  if (!fs.existsSync(filePath)) {
+    if (configPath) throw new Error(`Config file not found: ${configPath}`);
+    return EMPTY_CONFIG;
+  }
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid config ${filePath}: ${error.message}`);
+  }
+  return normalizeConfig(content, filePath);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  EMPTY_CONFIG,
+  matchesRoute,
+  getRouteSettings,
+  normalizeConfig,
+  loadConfig,
+};
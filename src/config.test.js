@@ -0,0 +1,124 @@
+"use strict";
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { EMPTY_CONFIG, matchesRoute, getRouteSettings, loadConfig } = require("./config.js");
+
+const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `bundle-size-config-${process.pid}`);
+
+function writeConfig(content) {
+  fs.mkdirSync(tmpRoot, { recursive: true });
+  const configPath = path.join(tmpRoot, "bundle-size.config.json");
+  fs.writeFileSync(configPath, typeof content === "string" ? content : JSON.stringify(content));
+  return configPath;
+}
+
+// ---------------------------------------------------------------------------
+// matchesRoute
+// ---------------------------------------------------------------------------
+
+describe("matchesRoute", () => {
+  test("matches any number of segments with **", () => {
+    assert.ok(matchesRoute("/admin", ["/admin/**"]));
+    assert.ok(matchesRoute("/admin/users/[id]", ["/admin/**"]));
+    assert.ok(!matchesRoute("/administration", ["/admin/**"]));
+    assert.ok(matchesRoute("/", ["/**"]));
+  });
+
+  test("matches within one segment with *", () => {
+    assert.ok(matchesRoute("/blog/[slug]", ["/blog/*"]));
+    assert.ok(!matchesRoute("/blog/2024/post", ["/blog/*"]));
+    assert.ok(matchesRoute("/docs-v2", ["/docs-*"]));
+  });
+
+  test("treats dynamic segments literally", () => {
+    assert.ok(matchesRoute("/blog/[slug]", ["/blog/[slug]"]));
+    assert.ok(!matchesRoute("/blog/s", ["/blog/[slug]"]));
+  });
+
+  test("matches routes with and without their route groups", () => {
+    assert.ok(matchesRoute("/(internal)/admin/users", ["/admin/**"]));
+    assert.ok(matchesRoute("/(internal)/admin/users", ["/(internal)/**"]));
+    assert.ok(matchesRoute("/_not-found", ["/_not-found"]));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getRouteSettings
+// ---------------------------------------------------------------------------
+
+describe("getRouteSettings", () => {
+  const config = {
+    ignore: [],
+    overrides: [
+      { routes: ["/blog/**"], threshold: 512, budgets: { maxFirstLoad: 200000 } },
+      { routes: ["/blog/archive"], budgetPercentIncreaseRed: 25, budgets: { maxFirstLoad: 0 } },
+    ],
+  };
+  const defaults = { threshold: 0, budgetPercentIncreaseRed: 5, budgets: { maxFirstLoad: 100000 } };
+
+  test("returns the defaults for routes without overrides", () => {
+    assert.deepEqual(getRouteSettings(config, "/", defaults), defaults);
+    assert.deepEqual(getRouteSettings(EMPTY_CONFIG, "/blog", defaults), defaults);
+  });
+
+  test("applies the matching overrides in order", () => {
+    assert.deepEqual(getRouteSettings(config, "/blog/[slug]", defaults), {
+      threshold: 512,
+      budgetPercentIncreaseRed: 5,
+      budgets: { maxFirstLoad: 200000 },
+    });
+    assert.deepEqual(getRouteSettings(config, "/blog/archive", defaults), {
+      threshold: 512,
+      budgetPercentIncreaseRed: 25,
+      budgets: { maxFirstLoad: 0 },
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadConfig
+// ---------------------------------------------------------------------------
+
+describe("loadConfig", () => {
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("reads the ignore patterns and overrides", () => {
+    const configPath = writeConfig({
+      ignore: ["/admin/**", "/_not-found"],
+      overrides: [{ routes: ["/blog/**"], threshold: 1024 }],
+    });
+    assert.deepEqual(loadConfig(configPath), {
+      ignore: ["/admin/**", "/_not-found"],
+      overrides: [{ routes: ["/blog/**"], threshold: 1024, budgets: {} }],
+    });
+  });
+
+  test("returns an empty config when the default file does not exist", () => {
+    assert.deepEqual(loadConfig(), EMPTY_CONFIG);
+  });
+
+  test("fails when a given file does not exist", () => {
+    assert.throws(
+      () => loadConfig(path.join(tmpRoot, "missing.json")),
+      /Config file not found: .*missing\.json/,
+    );
+  });
+
+  test("explains invalid configs", () => {
+    assert.throws(() => loadConfig(writeConfig("{")), /Invalid config .*bundle-size\.config\.json/);
+    assert.throws(() => loadConfig(writeConfig({ ignore: ["admin"] })), /ignore must be a list/);
+    assert.throws(
+      () => loadConfig(writeConfig({ overrides: [{ routes: ["/"], threshold: "1kb" }] })),
+      /overrides\[0\]\.threshold must be a number of bytes/,
+    );
+    assert.throws(
+      () => loadConfig(writeConfig({ overrides: [{ routes: ["/"], budgets: { maxGlobal: 1 } }] })),
+      /overrides\[0\]\.budgets\.maxGlobal is not a route budget/,
+    );
+  });
+});
@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * Number of ancestors of the merge base searched for a baseline by default.
+ */
+const DEFAULT_SEARCH_DEPTH = 50;
+
+/**
+ * Commits the API lists at once, which caps the search depth.
+ */
+const MAX_SEARCH_DEPTH = 100;
+
+/**
+ * Pages of artifacts listed when looking for baselines. The newest artifacts
+ * come first, so older commits than this covers have no baseline anyway.
+ */
+const MAX_ARTIFACT_PAGES = 10;
+
+/**
+ * Lists the unexpired artifacts with a name by the commit they were built
+ * from, the newest one per commit.
+ *
+ * @param {object} github - Octokit client, e.g. of actions/github-script
+ * @param {{ owner: string, repo: string, name: string }} options
+ * @returns {Promise<Map<string, { id: number, runId: number }>>} commit SHA → artifact
+ */
+async function listArtifactsByCommit(github, { owner, repo, name }) {
+  const artifacts = new Map();
+  for (let page = 1; page <= MAX_ARTIFACT_PAGES; page++) {
+    const { data } = await github.rest.actions.listArtifactsForRepo({
+      owner,
+      repo,
+      name,
+      per_page: 100,
+      page,
+    });
+    for (const artifact of data.artifacts) {
+      const run = artifact.workflow_run;
+      if (artifact.expired || !run || artifacts.has(run.head_sha)) continue;
+      artifacts.set(run.head_sha, { id: artifact.id, runId: run.id });
+    }
+    if (data.artifacts.length < 100) break;
+  }
+  return artifacts;
+}
+
+/**
+ * Finds the baseline artifact to compare a pull request with: the one built
+ * from the merge base of the PR, or else from the closest ancestor of the
+ * merge base that has one. Comparing with the latest baseline of the base
+ * branch instead would count the changes merged into it since the PR
+ * branched off.
+ *
+ * @param {object} github - Octokit client, e.g. of actions/github-script
+ * @param {{ owner: string, repo: string, base: string, head: string, artifactName: string, depth?: number }} options
+ *   `base` is the base branch and `head` the head commit of the PR; `depth` is the number of
+ *   commits searched, starting at the merge base (at most 100)
+ * @returns {Promise<{ mergeBaseSha: string, commitSha: string | null, runId: number | null, artifactId: number | null }>}
+ *   `commitSha` is the commit the baseline was built from, null when none of the searched
+ *   commits has one
+ */
+async function resolveMergeBaseBaseline(github, options) {
+  const { owner, repo, base, head, artifactName, depth = DEFAULT_SEARCH_DEPTH } = options;
+  const { data: comparison } = await github.rest.repos.compareCommitsWithBasehead({
+    owner,
+    repo,
+    basehead: `${base}...${head}`,
+  });
+  const mergeBaseSha = comparison.merge_base_commit.sha;
+
+  const [artifacts, { data: ancestors }] = await Promise.all([
+    listArtifactsByCommit(github, { owner, repo, name: artifactName }),
+    github.rest.repos.listCommits({
+      owner,
+      repo,
+      sha: mergeBaseSha,
+      per_page: Math.min(depth, MAX_SEARCH_DEPTH),
+    }),
+  ]);
+  const commit = ancestors.find(({ sha }) => artifacts.has(sha));
+  if (!commit) return { mergeBaseSha, commitSha: null, runId: null, artifactId: null };
+  const artifact = artifacts.get(commit.sha);
+  return { mergeBaseSha, commitSha: commit.sha, runId: artifact.runId, artifactId: artifact.id };
+}
+
+module.exports = {
+  DEFAULT_SEARCH_DEPTH,
+  resolveMergeBaseBaseline,
+};
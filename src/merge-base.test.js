@@ -0,0 +1,95 @@
+"use strict";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveMergeBaseBaseline } = require("./merge-base.js");
+
+/**
+ * Fakes the Octokit calls of `resolveMergeBaseBaseline` for a linear history,
+ * newest commit first.
+ */
+function createGitHub({ mergeBase, history, artifacts }) {
+  const calls = [];
+  const rest = {
+    repos: {
+      compareCommitsWithBasehead: async (params) => {
+        calls.push(["compare", params.basehead]);
+        return { data: { merge_base_commit: { sha: mergeBase } } };
+      },
+      listCommits: async (params) => {
+        calls.push(["commits", params.sha, params.per_page]);
+        const start = history.indexOf(params.sha);
+        return { data: history.slice(start, start + params.per_page).map((sha) => ({ sha })) };
+      },
+    },
+    actions: {
+      listArtifactsForRepo: async (params) => {
+        calls.push(["artifacts", params.name, params.page]);
+        const page = artifacts.slice((params.page - 1) * 100, params.page * 100);
+        return { data: { artifacts: page } };
+      },
+    },
+  };
+  return { calls, github: { rest } };
+}
+
+function artifact(id, sha, expired = false) {
+  return { id, expired, workflow_run: { id: id * 10, head_sha: sha } };
+}
+
+const options = {
+  owner: "acme",
+  repo: "shop",
+  base: "main",
+  head: "feature-sha",
+  artifactName: "turbopack-main-stats-main",
+};
+
+// ---------------------------------------------------------------------------
+// resolveMergeBaseBaseline
+// ---------------------------------------------------------------------------
+
+describe("resolveMergeBaseBaseline", () => {
+  const history = ["c5", "c4", "c3", "c2", "c1"];
+
+  test("returns the artifact of the merge base", async () => {
+    const { github, calls } = createGitHub({
+      mergeBase: "c3",
+      history,
+      artifacts: [artifact(5, "c5"), artifact(3, "c3")],
+    });
+    assert.deepEqual(await resolveMergeBaseBaseline(github, options), {
+      mergeBaseSha: "c3",
+      commitSha: "c3",
+      runId: 30,
+      artifactId: 3,
+    });
+    assert.deepEqual(calls[0], ["compare", "main...feature-sha"]);
+  });
+
+  test("walks back to the closest ancestor with an unexpired artifact", async () => {
+    const { github } = createGitHub({
+      mergeBase: "c4",
+      history,
+      artifacts: [artifact(5, "c5"), artifact(3, "c3", true), artifact(2, "c2"), artifact(1, "c2")],
+    });
+    const baseline = await resolveMergeBaseBaseline(github, options);
+    assert.equal(baseline.commitSha, "c2");
+    assert.equal(baseline.artifactId, 2, "the newest artifact of a commit wins");
+  });
+
+  test("returns no commit when none of the searched ancestors has an artifact", async () => {
+    const { github, calls } = createGitHub({
+      mergeBase: "c4",
+      history,
+      artifacts: [artifact(5, "c5"), artifact(1, "c1")],
+    });
+    assert.deepEqual(await resolveMergeBaseBaseline(github, { ...options, depth: 2 }), {
+      mergeBaseSha: "c4",
+      commitSha: null,
+      runId: null,
+      artifactId: null,
+    });
+    assert.ok(calls.some((call) => call[0] === "commits" && call[2] === 2));
+  });
+});
@@ -2,7 +2,9 @@
 
 const fs = require("fs");
 const path = require("path");
-const zlib = require("zlib");
+const { createSizeCache, hashContent } = require("./compress.js");
+const { EMPTY_CONFIG, getRouteSettings, matchesRoute } = require("./config.js");
+const { getNextVersion, isValidStatsEntry, loadStatsFile } = require("./validate.js");
 
 const INTERNAL_CHUNKS = [
   "webpack",
@@ -13,6 +15,328 @@ const INTERNAL_CHUNKS = [
   "edge-wrapper",
 ];
 
+const COMPRESSION_MODES = {
+  gzip: ["gzip"],
+  brotli: ["brotli"],
+  both: ["gzip", "brotli"],
+};
+
+const METRIC_LABELS = {
+  gzip: "gzipped",
+  brotli: "brotli",
+  raw: "uncompressed",
+};
+
+/**
+ * Prefix of the route keys of Pages Router routes (e.g. `pages:/about`), so
+ * they cannot clash with App Router routes and each router has its own
+ * `global` entry (`global` and `pages:global`).
+ */
+const PAGES_ROUTE_PREFIX = "pages:";
+
+/**
+ * Pages that are not routes of their own: `_app` wraps every page (its chunks
+ * end up in `pages:global`), `_document` only renders on the server and
+ * `_error` is the fallback error page.
+ */
+const PAGES_INTERNAL = ["/_app", "/_document", "/_error"];
+
+/**
+ * Prefix of the route keys of chunk clusters shared by some, but not all,
+ * routes (e.g. `shared:/(dashboard)/* #3f2a9c`).
+ */
+const SHARED_CLUSTER_PREFIX = "shared:";
+
+/**
+ * Number of routes that must share chunks for them to form a cluster. Chunks
+ * of two routes are common (e.g. a page and its loading state) and would
+ * flood the report with rows.
+ */
+const MIN_CLUSTER_ROUTES = 3;
+
+/**
+ * Length of the hash of its route set that makes a cluster key unique.
+ */
+const CLUSTER_ID_LENGTH = 6;
+
+/**
+ * Prefix of the route keys of nested layout segments (e.g.
+ * `layout:/(dashboard)`). The root layout is part of `global`.
+ */
+const LAYOUT_SEGMENT_PREFIX = "layout:";
+
+/**
+ * Prefix of the route keys of middleware and edge function bundles (e.g.
+ * `server:middleware`, `server:/api/og`). They run on the server, so they are
+ * reported in their own table instead of with the client JS.
+ */
+const SERVER_BUNDLE_PREFIX = "server:";
+
+const ROUTER_TITLES = {
+  app: "App Router",
+  pages: "Pages Router",
+};
+
+const SPARKLINE_BARS = "▁▂▃▄▅▆▇█";
+
+const DEFAULT_HISTORY_LENGTH = 30;
+
+/**
+ * Returns the compression algorithms measured for a compression mode.
+ *
+ * @param {string} [mode] - "gzip", "brotli" or "both"
+ * @returns {string[]}
+ */
+function getCompressionAlgorithms(mode = "gzip") {
+  const algorithms = COMPRESSION_MODES[mode || "gzip"];
+  if (!algorithms) {
+    throw new Error(
+      `Unknown compression mode "${mode}". Expected one of: ${Object.keys(COMPRESSION_MODES).join(", ")}`,
+    );
+  }
+  return algorithms;
+}
+
+/**
+ * Returns the router a route key belongs to.
+ *
+ * @param {string} route - Route key, e.g. `/about` or `pages:/about`
+ * @returns {"app" | "pages"}
+ */
+function getRouter(route) {
+  return route.startsWith(PAGES_ROUTE_PREFIX) ? "pages" : "app";
+}
+
+/**
+ * Returns the key of the entry with the chunks shared by all routes of the
+ * same router: `global` or `pages:global`.
+ *
+ * @param {string} route
+ * @returns {string}
+ */
+function getGlobalKey(route) {
+  return getRouter(route) === "pages" ? `${PAGES_ROUTE_PREFIX}global` : "global";
+}
+
+/**
+ * Returns whether a route key is the `global` entry of its router.
+ *
+ * @param {string} route
+ * @returns {boolean}
+ */
+function isGlobalRoute(route) {
+  return route === getGlobalKey(route);
+}
+
+/**
+ * Returns whether a route key is a cluster of chunks shared by several routes.
+ *
+ * @param {string} route
+ * @returns {boolean}
+ */
+function isSharedCluster(route) {
+  return route.startsWith(SHARED_CLUSTER_PREFIX);
+}
+
+/**
+ * Returns whether a route key is a nested layout segment.
+ *
+ * @param {string} route
+ * @returns {boolean}
+ */
+function isLayoutSegment(route) {
+  return route.startsWith(LAYOUT_SEGMENT_PREFIX);
+}
+
+/**
+ * Returns whether a route key is a middleware or edge function bundle.
+ *
+ * @param {string} route
+ * @returns {boolean}
+ */
+function isServerBundle(route) {
+  return route.startsWith(SERVER_BUNDLE_PREFIX);
+}
+
+/**
+ * Returns whether a route key holds chunks loaded by several routes: a
+ * `global` entry, a layout segment or a shared chunk cluster.
+ *
+ * @param {string} route
+ * @returns {boolean}
+ */
+function isSharedEntry(route) {
+  return isGlobalRoute(route) || isLayoutSegment(route) || isSharedCluster(route);
+}
+
+/**
+ * Returns the route as shown in the report, without the router prefix.
+ *
+ * @param {string} route
+ * @returns {string}
+ */
+function getRouteLabel(route) {
+  if (isLayoutSegment(route)) return `${route.slice(LAYOUT_SEGMENT_PREFIX.length)} layout`;
+  if (isSharedCluster(route)) return `shared by ${route.slice(SHARED_CLUSTER_PREFIX.length)}`;
+  if (isServerBundle(route)) return route.slice(SERVER_BUNDLE_PREFIX.length);
+  return route.startsWith(PAGES_ROUTE_PREFIX) ? route.slice(PAGES_ROUTE_PREFIX.length) : route;
+}
+
+/**
+ * Returns whether a route matches the ignore patterns of the config. Only
+ * pages are ignored; shared entries and server bundles are not routes.
+ *
+ * @param {string} route
+ * @param {string[]} [patterns]
+ * @returns {boolean}
+ */
+function isIgnoredRoute(route, patterns = []) {
+  return (
+    patterns.length > 0 &&
+    !isSharedEntry(route) &&
+    !isServerBundle(route) &&
+    matchesRoute(getRouteLabel(route), patterns)
+  );
+}
+
+/**
+ * Leaves the ignored routes out of a routes map.
+ *
+ * @param {Record<string, object>} routes
+ * @param {string[]} patterns
+ * @returns {Record<string, object>}
+ */
+function omitIgnoredRoutes(routes, patterns) {
+  if (patterns.length === 0) return routes;
+  return Object.fromEntries(
+    Object.entries(routes).filter(([route]) => !isIgnoredRoute(route, patterns)),
+  );
+}
+
+/**
+ * Returns the first-load size of a route: its own chunks, the global chunks
+ * of its router and the layout segments and shared chunk clusters it loads.
+ *
+ * @param {Record<string, object>} routes
+ * @param {string} route
+ * @param {string} metric
+ * @returns {number}
+ */
+function getFirstLoadSize(routes, route, metric) {
+  const entry = routes[route];
+  const sharedKeys = [getGlobalKey(route), ...(entry.layouts || []), ...(entry.clusters || [])];
+  return sharedKeys.reduce(
+    (sum, key) => sum + ((routes[key] || {})[metric] || 0),
+    entry[metric] || 0,
+  );
+}
+
+/**
+ * Names a chunk cluster after the routes that share it: their common path
+ * prefix (e.g. `/(dashboard)/*`), or the routes themselves when they have
+ * none and there are only a few.
+ *
+ * @param {string[]} routes
+ * @returns {string}
+ */
+function getClusterName(routes) {
+  const segmentLists = routes.map((route) => route.split("/").filter(Boolean));
+  const common = [];
+  for (let i = 0; segmentLists.every((segments) => i < segments.length); i++) {
+    if (!segmentLists.every((segments) => segments[i] === segmentLists[0][i])) break;
+    common.push(segmentLists[0][i]);
+  }
+  if (common.length > 0) return `/${common.join("/")}/*`;
+  return routes.length <= 3 ? routes.join(", ") : "/*";
+}
+
+/**
+ * Attributes chunks to the nested layout segments of the App Router.
+ *
+ * A segment (e.g. `/(dashboard)` or `/(dashboard)/settings`) with at least
+ * two routes below it gets the chunks that all of those routes load and no
+ * enclosing segment has claimed, which is what its layout adds to the first
+ * load. Segments are keyed by `layout:<segment>`. Chunks loaded by every
+ * route belong to the root layout and are expected to be left out already.
+ *
+ * @param {Array<{ routeKey: string, chunks: string[] }>} routeChunks - Route keys include
+ *   their route groups (e.g. `/(dashboard)/settings`)
+ * @returns {Array<{ key: string, routes: string[], chunks: string[] }>} Outer segments first
+ */
+function findLayoutSegments(routeChunks) {
+  const routeSegments = routeChunks.map(({ routeKey }) => routeKey.split("/").filter(Boolean));
+  const segmentPaths = new Set();
+  for (const segments of routeSegments) {
+    for (let depth = 1; depth <= segments.length; depth++) {
+      segmentPaths.add("/" + segments.slice(0, depth).join("/"));
+    }
+  }
+
+  const depthOf = (segmentPath) => segmentPath.split("/").length;
+  const claimed = new Map(); // route key → chunks claimed by its enclosing segments
+  const layouts = [];
+  for (const segmentPath of [...segmentPaths].sort(
+    (a, b) => depthOf(a) - depthOf(b) || a.localeCompare(b),
+  )) {
+    const below = routeChunks.filter(
+      ({ routeKey }) => routeKey === segmentPath || routeKey.startsWith(segmentPath + "/"),
+    );
+    if (below.length < 2) continue;
+    const chunkSets = below.map(({ chunks }) => new Set(chunks));
+    const chunks = below[0].chunks.filter(
+      (chunk) =>
+        chunkSets.every((set) => set.has(chunk)) &&
+        !below.some(({ routeKey }) => (claimed.get(routeKey) || new Set()).has(chunk)),
+    );
+    if (chunks.length === 0) continue;
+    for (const { routeKey } of below) {
+      if (!claimed.has(routeKey)) claimed.set(routeKey, new Set());
+      chunks.forEach((chunk) => claimed.get(routeKey).add(chunk));
+    }
+    layouts.push({
+      key: LAYOUT_SEGMENT_PREFIX + segmentPath,
+      routes: below.map(({ routeKey }) => routeKey).sort(),
+      chunks,
+    });
+  }
+  return layouts;
+}
+
+/**
+ * Groups chunks that are loaded by the same set of (at least three) routes
+ * into clusters, keyed by `shared:<name> #<id>`. The id is a hash of the
+ * route set, so a cluster keeps its key when other clusters come and go,
+ * even when they share its name.
+ *
+ * @param {Array<{ routeKey: string, chunks: string[] }>} routeChunks
+ * @returns {Array<{ key: string, routes: string[], chunks: string[] }>}
+ */
+function findChunkClusters(routeChunks) {
+  const chunkRoutes = new Map();
+  for (const { routeKey, chunks } of routeChunks) {
+    for (const chunk of chunks) {
+      if (!chunkRoutes.has(chunk)) chunkRoutes.set(chunk, []);
+      chunkRoutes.get(chunk).push(routeKey);
+    }
+  }
+
+  const groups = new Map();
+  for (const [chunk, routes] of chunkRoutes) {
+    if (routes.length < MIN_CLUSTER_ROUTES) continue;
+    const signature = [...routes].sort().join("\n");
+    if (!groups.has(signature)) groups.set(signature, []);
+    groups.get(signature).push(chunk);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([signature, chunks]) => {
+      const routes = signature.split("\n");
+      const id = hashContent(signature).slice(0, CLUSTER_ID_LENGTH);
+      return { key: `${SHARED_CLUSTER_PREFIX}${getClusterName(routes)} #${id}`, routes, chunks };
+    });
+}
+
 function formatBytes(bytes) {
   if (bytes === 0) return "0 B";
   const k = 1024;
@@ -61,77 +385,408 @@ function buildRouteGroupMap(manifestPath) {
   return map;
 }
 
+/**
+ * Measures the given assets for each metric.
+ *
+ * The per-asset sizes are kept in `chunks` so that reports can show which
+ * chunks of a route changed. Without a `getAssetSize` callback all totals are
+ * 0 and no chunks are recorded.
+ *
+ * @param {Iterable<string>} assetNames
+ * @param {((assetName: string, metric: string) => number) | null} getAssetSize
+ * @param {string[]} metrics - "raw", "gzip" and/or "brotli"
+ * @returns {Record<string, number> & { chunks?: Record<string, Record<string, number>> }}
+ *   metric → total bytes, plus chunk path → metric → bytes
+ */
+function measureAssets(assetNames, getAssetSize, metrics) {
+  const sizes = {};
+  for (const metric of metrics) sizes[metric] = 0;
+  if (!getAssetSize) return sizes;
+  sizes.chunks = {};
+  for (const assetName of assetNames) {
+    const chunkSizes = {};
+    for (const metric of metrics) {
+      chunkSizes[metric] = getAssetSize(assetName, metric);
+      sizes[metric] += chunkSizes[metric];
+    }
+    sizes.chunks[assetName] = chunkSizes;
+  }
+  return sizes;
+}
+
+/**
+ * Measures CSS assets. Only the totals are kept; CSS is not broken down per
+ * chunk in the report.
+ *
+ * @param {Iterable<string>} assetNames
+ * @param {((assetName: string, metric: string) => number) | null} getAssetSize
+ * @param {string[]} metrics
+ * @returns {Record<string, number>} metric → total bytes
+ */
+function measureCss(assetNames, getAssetSize, metrics) {
+  const sizes = measureAssets(assetNames, getAssetSize, metrics);
+  delete sizes.chunks;
+  return sizes;
+}
+
+function hasNonZeroSize(sizes) {
+  return Object.values(sizes).some((size) => typeof size === "number" && size > 0);
+}
+
 /**
  * Processes the new route-bundle-stats.json format (Next.js 16.2+).
  *
- * The new format is an array of route objects with pre-computed sizes and
- * chunk paths. Shared chunks (present in ALL routes) are extracted into
- * a "global" entry, and per-route sizes exclude those shared chunks.
+ * Chunks loaded by all routes go to `global`, and with `options.layouts` or
+ * `options.sharedClusters` the chunks loaded by some of them go to layout
+ * segments or shared clusters (see the README). Ignored routes are left out
+ * first.
  *
  * @param {Array<{ route: string, firstLoadUncompressedJsBytes: number, firstLoadChunkPaths: string[] }>} stats
- * @param {((chunkPath: string) => number) | null} getGzipSize
+ * @param {((chunkPath: string, metric: string) => number) | null} getAssetSize - Returns the
+ *   uncompressed ("raw") or compressed ("gzip", "brotli") size of a chunk
  * @param {Record<string, string>} routeGroupMap - clean route → route-group-prefixed route
- * @returns {Record<string, { gzip: number }>}
+ * @param {{ compression?: string, css?: boolean, layouts?: boolean, sharedClusters?: boolean, ignore?: string[] }} [options]
+ *   `compression` is "gzip" (default), "brotli" or "both"; `css` enables CSS tracking; `layouts`
+ *   enables layout segments; `sharedClusters` enables shared chunk clusters; `ignore` lists
+ *   route patterns to leave out
+ * @returns {Record<string, { raw: number, gzip?: number, brotli?: number, chunks?: object, css?: object, routes?: string[], layouts?: string[], clusters?: string[] }>}
  */
-function processNewStats(stats, getGzipSize = null, routeGroupMap = {}) {
-  if (!Array.isArray(stats) || stats.length === 0) return {};
-
-  // Find JS chunks shared by ALL routes
-  const allChunkSets = stats.map(
-    (r) => new Set((r.firstLoadChunkPaths || []).filter((c) => c.endsWith(".js"))),
-  );
-  const sharedChunks = new Set(
-    [...allChunkSets[0]].filter((chunk) => allChunkSets.every((s) => s.has(chunk))),
+function processNewStats(stats, getAssetSize = null, routeGroupMap = {}, options = {}) {
+  if (!Array.isArray(stats)) return {};
+  // Malformed entries are reported by `validateStats`.
+  const entries = stats.filter(
+    (entry) =>
+      isValidStatsEntry(entry) &&
+      !isIgnoredRoute(routeGroupMap[entry.route] || entry.route, options.ignore),
   );
+  if (entries.length === 0) return {};
 
-  // Compute shared (global) gzip size
-  let globalGzip = 0;
-  if (getGzipSize) {
-    for (const chunk of sharedChunks) {
-      globalGzip += getGzipSize(chunk);
-    }
+  const metrics = ["raw", ...getCompressionAlgorithms(options.compression)];
+
+  // Find chunks shared by ALL routes
+  const findSharedChunks = (extension) => {
+    const allChunkSets = entries.map(
+      (r) => new Set((r.firstLoadChunkPaths || []).filter((c) => c.endsWith(extension))),
+    );
+    return new Set([...allChunkSets[0]].filter((chunk) => allChunkSets.every((s) => s.has(chunk))));
+  };
+  const sharedChunks = findSharedChunks(".js");
+  const sharedCss = options.css ? findSharedChunks(".css") : new Set();
+
+  // Compute shared (global) sizes
+  const globalSizes = measureAssets(sharedChunks, getAssetSize, metrics);
+  if (options.css) {
+    globalSizes.css = measureCss(sharedCss, getAssetSize, metrics);
   }
 
   const routes = {};
 
-  if (globalGzip > 0) {
-    routes["global"] = { gzip: globalGzip };
+  if (hasNonZeroSize(globalSizes) || (options.css && hasNonZeroSize(globalSizes.css))) {
+    routes["global"] = globalSizes;
+  }
+
+  const routeEntries = entries
+    .filter((entry) => entry.route && (entry.firstLoadUncompressedJsBytes || 0) > 0)
+    .map((entry) => ({
+      entry,
+      routeKey: routeGroupMap[entry.route] || entry.route,
+      chunks: (entry.firstLoadChunkPaths || []).filter(
+        (chunk) => chunk.endsWith(".js") && !sharedChunks.has(chunk),
+      ),
+    }));
+
+  const layouts = options.layouts ? findLayoutSegments(routeEntries) : [];
+  for (const layout of layouts) {
+    routes[layout.key] = {
+      ...measureAssets(layout.chunks, getAssetSize, metrics),
+      routes: layout.routes,
+    };
+  }
+  for (const routeEntry of routeEntries) {
+    const routeLayouts = layouts.filter((layout) => layout.routes.includes(routeEntry.routeKey));
+    const layoutChunks = new Set(routeLayouts.flatMap((layout) => layout.chunks));
+    routeEntry.chunks = routeEntry.chunks.filter((chunk) => !layoutChunks.has(chunk));
+    routeEntry.layouts = routeLayouts.map((layout) => layout.key);
   }
 
-  for (const entry of stats) {
-    const route = entry.route;
-    if (!route) continue;
+  const clusters = options.sharedClusters ? findChunkClusters(routeEntries) : [];
+  const clusteredChunks = new Set(clusters.flatMap((cluster) => cluster.chunks));
+  for (const cluster of clusters) {
+    routes[cluster.key] = {
+      ...measureAssets(cluster.chunks, getAssetSize, metrics),
+      routes: cluster.routes,
+    };
+  }
 
-    const hasContent = (entry.firstLoadUncompressedJsBytes || 0) > 0;
-    if (!hasContent) continue;
+  for (const { entry, routeKey, chunks, layouts: routeLayouts } of routeEntries) {
+    const routeChunks = chunks.filter((chunk) => !clusteredChunks.has(chunk));
+    const routeSizes = measureAssets(routeChunks, getAssetSize, metrics);
+    if (routeLayouts.length > 0) routeSizes.layouts = routeLayouts;
+    const routeClusters = clusters
+      .filter((cluster) => cluster.routes.includes(routeKey))
+      .map((cluster) => cluster.key);
+    if (routeClusters.length > 0) routeSizes.clusters = routeClusters;
+    if (options.css) {
+      const routeCss = (entry.firstLoadChunkPaths || []).filter(
+        (chunk) => chunk.endsWith(".css") && !sharedCss.has(chunk),
+      );
+      routeSizes.css = measureCss(routeCss, getAssetSize, metrics);
+    }
 
-    let routeGzip = 0;
-    if (getGzipSize) {
-      for (const chunk of entry.firstLoadChunkPaths || []) {
-        if (!chunk.endsWith(".js")) continue;
-        if (sharedChunks.has(chunk)) continue;
-        routeGzip += getGzipSize(chunk);
-      }
+    const hasCss = options.css && hasNonZeroSize(routeSizes.css);
+    if (
+      !hasNonZeroSize(routeSizes) &&
+      !hasCss &&
+      !routeSizes.layouts &&
+      !routeSizes.clusters &&
+      getAssetSize
+    ) {
+      continue;
     }
 
-    if (routeGzip === 0 && getGzipSize) continue;
+    routes[routeKey] = routeSizes;
+  }
+
+  return routes;
+}
+
+/**
+ * Processes the Pages Router routes listed in `build-manifest.json`.
+ *
+ * The first load of a page is its own chunks plus the chunks of `/_app`.
+ * Chunks shared by all pages go to `pages:global`, the rest to the page,
+ * keyed as `pages:/about`. Polyfills are only loaded by legacy browsers and
+ * are left out.
+ *
+ * @param {{ pages?: Record<string, string[]> }} buildManifest - Parsed `.next/build-manifest.json`
+ * @param {string[] | null} pageRoutes - Routes from `server/pages-manifest.json`, used to leave
+ *   out API routes; all routes of the build manifest when null
+ * @param {((chunkPath: string, metric: string) => number) | null} getAssetSize
+ * @param {{ compression?: string, css?: boolean, ignore?: string[] }} [options] - Same as for
+ *   `processNewStats`
+ * @returns {Record<string, { raw: number, gzip?: number, brotli?: number, chunks?: object, css?: object }>}
+ */
+function processPagesRouter(buildManifest, pageRoutes, getAssetSize = null, options = {}) {
+  const manifestPages = (buildManifest && buildManifest.pages) || {};
+  const appFiles = manifestPages["/_app"] || [];
+  const routeNames = (pageRoutes || Object.keys(manifestPages)).filter(
+    (route) =>
+      manifestPages[route] &&
+      !PAGES_INTERNAL.includes(route) &&
+      !isIgnoredRoute(PAGES_ROUTE_PREFIX + route, options.ignore),
+  );
+  if (routeNames.length === 0) return {};
 
-    const routeKey = routeGroupMap[route] || route;
-    routes[routeKey] = { gzip: routeGzip };
+  const metrics = ["raw", ...getCompressionAlgorithms(options.compression)];
+  const firstLoadFiles = routeNames.map((route) => [
+    ...new Set([...appFiles, ...manifestPages[route]]),
+  ]);
+
+  const findSharedFiles = (extension) => {
+    const fileSets = firstLoadFiles.map(
+      (files) => new Set(files.filter((file) => file.endsWith(extension))),
+    );
+    return new Set([...fileSets[0]].filter((file) => fileSets.every((set) => set.has(file))));
+  };
+  const sharedJs = findSharedFiles(".js");
+  const sharedCss = options.css ? findSharedFiles(".css") : new Set();
+
+  const routes = {};
+  const globalSizes = measureAssets(sharedJs, getAssetSize, metrics);
+  if (options.css) globalSizes.css = measureCss(sharedCss, getAssetSize, metrics);
+  if (sharedJs.size > 0 || sharedCss.size > 0) {
+    routes[`${PAGES_ROUTE_PREFIX}global`] = globalSizes;
   }
 
+  routeNames.forEach((route, i) => {
+    const files = firstLoadFiles[i];
+    const routeSizes = measureAssets(
+      files.filter((file) => file.endsWith(".js") && !sharedJs.has(file)),
+      getAssetSize,
+      metrics,
+    );
+    if (options.css) {
+      routeSizes.css = measureCss(
+        files.filter((file) => file.endsWith(".css") && !sharedCss.has(file)),
+        getAssetSize,
+        metrics,
+      );
+    }
+    routes[PAGES_ROUTE_PREFIX + route] = routeSizes;
+  });
+
   return routes;
 }
 
+/**
+ * Measures the middleware and edge function bundles listed in
+ * `server/middleware-manifest.json`.
+ *
+ * Each bundle is deployed on its own, so the files it shares with other
+ * bundles (e.g. the edge runtime) count towards each of them, as do its
+ * WebAssembly modules and assets. Middleware is keyed as `server:middleware`
+ * (`server:middleware <matcher page>` when there are several), edge functions
+ * by their page, e.g. `server:/api/og`.
+ *
+ * @param {{ middleware?: Record<string, object>, functions?: Record<string, object> }} manifest
+ * @param {((assetName: string, metric: string) => number) | null} getAssetSize - Paths are
+ *   relative to `.next`
+ * @param {{ compression?: string }} [options]
+ * @returns {Record<string, { raw: number, gzip?: number, brotli?: number, chunks?: object, type: string }>}
+ */
+function processMiddlewareManifest(manifest, getAssetSize = null, options = {}) {
+  const metrics = ["raw", ...getCompressionAlgorithms(options.compression)];
+  const bundleFiles = (definition) => [
+    ...new Set([
+      ...(definition.files || []),
+      ...(definition.wasm || []).map((wasm) => wasm.filePath),
+      ...(definition.assets || []).map((asset) => asset.filePath),
+    ]),
+  ];
+
+  const bundles = {};
+  const middleware = Object.entries((manifest && manifest.middleware) || {});
+  for (const [page, definition] of middleware) {
+    const key =
+      middleware.length > 1
+        ? `${SERVER_BUNDLE_PREFIX}middleware ${page}`
+        : `${SERVER_BUNDLE_PREFIX}middleware`;
+    bundles[key] = {
+      ...measureAssets(bundleFiles(definition), getAssetSize, metrics),
+      type: "middleware",
+    };
+  }
+  for (const [page, definition] of Object.entries((manifest && manifest.functions) || {})) {
+    bundles[SERVER_BUNDLE_PREFIX + page] = {
+      ...measureAssets(bundleFiles(definition), getAssetSize, metrics),
+      type: "edge",
+    };
+  }
+  return bundles;
+}
+
+/**
+ * Returns the npm package or source directory a module belongs to, e.g.
+ * `node_modules/lodash`, `node_modules/@scope/pkg` or `src/components`.
+ *
+ * @param {string} moduleName - Module name from webpack-stats.json
+ * @returns {string}
+ */
+function getModulePackage(moduleName) {
+  const name = moduleName
+    .replace(/ \+ \d+ modules?$/, "")
+    .replace(/^\([^)]*\)\//, "")
+    .replace(/^\.\//, "");
+  const nodeModulesIdx = name.lastIndexOf("node_modules/");
+  if (nodeModulesIdx >= 0) {
+    const segments = name.slice(nodeModulesIdx + "node_modules/".length).split("/");
+    const packageName = segments[0].startsWith("@") ? segments.slice(0, 2).join("/") : segments[0];
+    return `node_modules/${packageName}`;
+  }
+  const dirs = name.split("/").slice(0, -1);
+  return dirs.length > 0 ? dirs.slice(0, 2).join("/") : ".";
+}
+
+/**
+ * Flattens the modules of a webpack-stats.json file into `{ name, size, chunks }`
+ * records. Concatenated modules are expanded into their inner modules, which
+ * inherit the chunks of the concatenated module.
+ *
+ * @param {object} stats - Parsed webpack-stats.json content
+ * @returns {Array<{ name: string, size: number, chunks: Array<string | number> }>}
+ */
+function collectModules(stats) {
+  let modules = stats.modules;
+  if (!Array.isArray(modules)) {
+    modules = (stats.chunks || []).flatMap((chunk) =>
+      (chunk.modules || []).map((m) => ({ ...m, chunks: m.chunks || [chunk.id] })),
+    );
+  }
+  const result = [];
+  const visit = (m, chunks) => {
+    if (Array.isArray(m.modules) && m.modules.length > 0) {
+      m.modules.forEach((inner) => visit(inner, chunks));
+      return;
+    }
+    if (!m.name || /\.(css|scss|sass|less)$/.test(m.name)) return;
+    result.push({ name: m.name, size: m.size || 0, chunks });
+  };
+  modules.forEach((m) => visit(m, m.chunks || []));
+  return result;
+}
+
+/**
+ * Attributes the uncompressed module sizes of a set of chunks to packages.
+ *
+ * @param {Array<{ name: string, size: number, chunks: Array<string | number> }>} modules
+ * @param {Set<string | number>} chunkIds
+ * @returns {Record<string, number>} package → bytes
+ */
+function attributePackages(modules, chunkIds) {
+  const packages = {};
+  for (const m of modules) {
+    if (!m.chunks.some((id) => chunkIds.has(id))) continue;
+    const packageName = getModulePackage(m.name);
+    packages[packageName] = (packages[packageName] || 0) + m.size;
+  }
+  return packages;
+}
+
+/**
+ * Attributes the modules of each chunk file to packages, as `packages` of
+ * the chunk's sizes.
+ *
+ * @param {Record<string, object>} chunkSizes - chunk file → sizes, from `measureAssets`
+ * @param {Array<string | number>} chunkIds - Chunks of the files
+ * @param {Map<string | number, { files?: string[] }>} chunksById
+ * @param {Array<{ name: string, size: number, chunks: Array<string | number> }>} modules
+ */
+function attributeChunkPackages(chunkSizes, chunkIds, chunksById, modules) {
+  const idsByFile = new Map();
+  for (const id of chunkIds) {
+    for (const file of (chunksById.get(id) || {}).files || []) {
+      if (!(file in chunkSizes)) continue;
+      if (!idsByFile.has(file)) idsByFile.set(file, new Set());
+      idsByFile.get(file).add(id);
+    }
+  }
+  for (const [file, ids] of idsByFile) {
+    chunkSizes[file].packages = attributePackages(modules, ids);
+  }
+}
+
 /**
  * Processes a parsed stats object into a routes map.
  *
+ * With `options.async`, each route gets an `async` entry with the JS chunks it
+ * loads on demand (`next/dynamic`, `import()`), found by following the
+ * `children` of its chunks, and `global.async` sums the lazy chunks of the
+ * whole app.
+ *
+ * Pages Router entries (`pages/about`) are keyed as `pages:/about`, and the
+ * chunks of `pages/_app`, which every page loads, go to `pages:global`.
+ *
+ * Uncompressed sizes come from the `assets` list of the stats file. When the
+ * stats include `modules`, each route also gets `packages`: its uncompressed
+ * module bytes attributed to npm packages and source directories, and so
+ * does each of its chunks. With `options.css`, stylesheets are measured into
+ * a `css` entry. Routes matching
+ * the `options.ignore` patterns are left out, like in `processNewStats`.
+ * Without `getAssetSize` only the uncompressed totals are known, and no
+ * `chunks` are recorded.
+ *
  * @param {object} stats - Parsed webpack-stats.json content
- * @param {((assetName: string) => number) | null} getGzipSize - Optional
- *   callback returning the gzip size for an asset path. Return 0 if not found.
- * @returns {Record<string, { gzip: number }>}
+ * @param {((assetName: string, metric: string) => number) | null} getAssetSize - Optional
+ *   callback returning the compressed size of an asset path for the given
+ *   metric ("gzip" or "brotli"). Return 0 if not found.
+ * @param {{ compression?: string, css?: boolean, async?: boolean, ignore?: string[] }} [options]
+ *   `compression` is "gzip" (default), "brotli" or "both"; `css` enables CSS tracking; `async`
+ *   enables lazy chunk tracking; `ignore` lists route patterns to leave out
+ * @returns {Record<string, { raw: number, gzip?: number, brotli?: number, chunks?: object, packages?: Record<string, number>, css?: object, async?: object }>}
  */
-function processStats(stats, getGzipSize = null) {
+function processStats(stats, getAssetSize = null, options = {}) {
+  const algorithms = getCompressionAlgorithms(options.compression);
+
   const assetSizes = {};
   (stats.assets || []).forEach((a) => {
     assetSizes[a.name] = a.size;
@@ -140,43 +795,157 @@ function processStats(stats, getGzipSize = null) {
   const entrypoints = stats.namedChunkGroups || stats.entrypoints || {};
   const routes = {};
 
-  let globalRaw = 0;
-  let globalGzip = 0;
+  const metrics = ["raw", ...algorithms];
+  const getSize = (assetName, metric) => {
+    if (metric === "raw") return assetSizes[assetName] || 0;
+    return getAssetSize ? getAssetSize(assetName, metric) : 0;
+  };
+
+  const createGlobalSizes = () => {
+    const sizes = measureAssets([], getSize, metrics);
+    if (options.css) sizes.css = measureCss([], getSize, metrics);
+    return sizes;
+  };
+  const globals = {
+    global: createGlobalSizes(),
+    [`${PAGES_ROUTE_PREFIX}global`]: createGlobalSizes(),
+  };
+
+  const modules = collectModules(stats);
+  const hasModules = modules.length > 0;
+  const chunksById = new Map((stats.chunks || []).map((chunk) => [chunk.id, chunk]));
+  // JS files of the chunks that the given chunks load on demand (`import()`),
+  // directly or through other async chunks
+  const getAsyncFiles = (chunkIds) => {
+    const seen = new Set(chunkIds);
+    const queue = [...chunkIds];
+    const files = new Set();
+    while (queue.length > 0) {
+      const chunk = chunksById.get(queue.shift());
+      for (const childId of (chunk && chunk.children) || []) {
+        if (seen.has(childId)) continue;
+        seen.add(childId);
+        queue.push(childId);
+        const child = chunksById.get(childId);
+        ((child && child.files) || [])
+          .filter((f) => f.endsWith(".js"))
+          .forEach((f) => files.add(f));
+      }
+    }
+    return files;
+  };
+  const firstLoadFiles = new Set();
+  const routeAsyncFiles = [];
+  const getChunkIds = (chunkGroup, assetNames) => {
+    if (Array.isArray(chunkGroup.chunks)) return chunkGroup.chunks;
+    return (stats.chunks || [])
+      .filter((chunk) => (chunk.files || []).some((file) => assetNames.includes(file)))
+      .map((chunk) => chunk.id);
+  };
+  const globalChunkIds = { global: new Set(), [`${PAGES_ROUTE_PREFIX}global`]: new Set() };
 
   for (const [routeName, chunkGroup] of Object.entries(entrypoints)) {
-    const isInternal = INTERNAL_CHUNKS.some(
-      (chunk) =>
-        routeName === chunk ||
-        routeName.startsWith(chunk + "-") ||
-        routeName.startsWith(chunk + "."),
-    );
+    // Pages Router entries are named after their file: pages/blog/index
+    let pagesRoute = null;
+    if (routeName.startsWith("pages/")) {
+      pagesRoute = routeName.slice("pages".length).replace(/\/index$/, "") || "/";
+      if (pagesRoute === "/_document" || pagesRoute === "/_error") continue;
+    }
+
+    let globalKey = null;
+    if (pagesRoute === "/_app") {
+      globalKey = `${PAGES_ROUTE_PREFIX}global`;
+    } else if (
+      INTERNAL_CHUNKS.some(
+        (chunk) =>
+          routeName === chunk ||
+          routeName.startsWith(chunk + "-") ||
+          routeName.startsWith(chunk + "."),
+      )
+    ) {
+      globalKey = "global";
+    }
 
-    let totalRaw = 0;
-    let totalGzip = 0;
+    let routeKey = null;
+    if (!globalKey) {
+      if (pagesRoute) {
+        routeKey = PAGES_ROUTE_PREFIX + pagesRoute;
+      } else {
+        const cleanRoute = routeName.replace(/^app/, "").replace(/\/page$/, "");
+        routeKey = cleanRoute === "" ? "/" : cleanRoute;
+      }
+      if (isIgnoredRoute(routeKey, options.ignore)) continue;
+    }
 
-    (chunkGroup.assets || []).forEach((asset) => {
-      const assetName = typeof asset === "string" ? asset : asset.name;
-      if (!assetName.endsWith(".js")) return;
+    const assetNames = (chunkGroup.assets || []).map((asset) =>
+      typeof asset === "string" ? asset : asset.name,
+    );
+    const jsAssets = assetNames.filter((assetName) => assetName.endsWith(".js"));
 
-      totalRaw += assetSizes[assetName] || 0;
-      if (getGzipSize) totalGzip += getGzipSize(assetName);
-    });
+    const totalSizes = measureAssets(jsAssets, getSize, metrics);
+    if (options.css) {
+      const cssAssets = assetNames.filter((assetName) => assetName.endsWith(".css"));
+      totalSizes.css = measureCss(cssAssets, getSize, metrics);
+    }
+
+    const chunkIds = hasModules || options.async ? getChunkIds(chunkGroup, jsAssets) : [];
+    jsAssets.forEach((assetName) => firstLoadFiles.add(assetName));
+    if (hasModules) attributeChunkPackages(totalSizes.chunks, chunkIds, chunksById, modules);
 
-    if (isInternal) {
-      globalRaw += totalRaw;
-      globalGzip += totalGzip;
+    if (globalKey) {
+      const globalSizes = globals[globalKey];
+      for (const metric of metrics) {
+        globalSizes[metric] += totalSizes[metric];
+        if (options.css) globalSizes.css[metric] += totalSizes.css[metric];
+      }
+      Object.assign(globalSizes.chunks, totalSizes.chunks);
+      chunkIds.forEach((id) => globalChunkIds[globalKey].add(id));
       continue;
     }
 
-    if (totalRaw === 0) continue;
+    if (totalSizes.raw === 0 && !(options.css && totalSizes.css.raw > 0)) continue;
 
-    let cleanRoute = routeName.replace(/^app/, "").replace(/\/page$/, "");
-    cleanRoute = cleanRoute === "" ? "/" : cleanRoute;
-    routes[cleanRoute] = { gzip: totalGzip };
+    if (hasModules) {
+      totalSizes.packages = attributePackages(modules, new Set(chunkIds));
+    }
+
+    routes[routeKey] = totalSizes;
+    if (options.async) {
+      const asyncFiles = [...getAsyncFiles(chunkIds)].filter((f) => !jsAssets.includes(f));
+      routeAsyncFiles.push({ routeKey, asyncFiles });
+    }
+  }
+
+  // Lazy chunks are measured once all first-load chunks are known: a chunk
+  // that some route loads up front is not lazy for the app as a whole, and
+  // routes do not count the global chunks they already have.
+  if (options.async) {
+    const globalFiles = new Set(Object.values(globals).flatMap((g) => Object.keys(g.chunks || {})));
+    for (const { routeKey, asyncFiles } of routeAsyncFiles) {
+      const lazyFiles = asyncFiles.filter((f) => !globalFiles.has(f));
+      routes[routeKey].async = measureAssets(lazyFiles, getSize, metrics);
+    }
+    const appLazyFiles = new Set(
+      routeAsyncFiles.flatMap(({ asyncFiles }) => asyncFiles).filter((f) => !firstLoadFiles.has(f)),
+    );
+    globals.global.async = measureAssets(appLazyFiles, getSize, metrics);
+  }
+
+  for (const [globalKey, globalSizes] of Object.entries(globals)) {
+    const hasAsync = globalSizes.async && hasNonZeroSize(globalSizes.async);
+    if (globalSizes.raw > 0 || (options.css && globalSizes.css.raw > 0) || hasAsync) {
+      if (hasModules) {
+        globalSizes.packages = attributePackages(modules, globalChunkIds[globalKey]);
+      }
+      routes[globalKey] = globalSizes;
+    }
   }
 
-  if (globalRaw > 0) {
-    routes["global"] = { gzip: globalGzip };
+  // Chunks are only recorded when they were measured, like in `measureAssets`
+  if (!getAssetSize) {
+    for (const sizes of Object.values(routes)) {
+      for (const entry of [sizes, sizes.css, sizes.async]) if (entry) delete entry.chunks;
+    }
   }
 
   return routes;
@@ -200,7 +969,7 @@ function resolveStatsPath(statsPath) {
   if (fs.existsSync(statsPath)) return statsPath;
   for (const knownPath of KNOWN_STATS_PATHS) {
     if (knownPath !== statsPath && fs.existsSync(knownPath)) {
-      console.log(`ℹ️ Stats file not found at ${statsPath}, using ${knownPath}`);
+      console.warn(`ℹ️ Stats file not found at ${statsPath}, using ${knownPath}`);
       return knownPath;
     }
   }
@@ -217,7 +986,7 @@ function findDotNextDir(filePath) {
   const segments = path.resolve(filePath).split(path.sep);
   const idx = segments.lastIndexOf(".next");
   if (idx < 0) {
-    console.log(
+    console.warn(
       `⚠️ Warning: Could not find .next directory in path: ${filePath}, falling back to '.next'`,
     );
     return path.resolve(".next");
@@ -225,74 +994,964 @@ function findDotNextDir(filePath) {
   return segments.slice(0, idx + 1).join(path.sep);
 }
 
+/**
+ * Sizes of the chunk files measured by `parseStatsFile`, shared by all calls
+ * (e.g. the base and head builds of the CLI) unless `options.sizeCache` is
+ * given.
+ */
+const defaultSizeCache = createSizeCache();
+
 /**
  * Reads a stats file from disk and processes it.
  *
  * Automatically detects the format: if the parsed JSON is an array, it uses
  * the new route-bundle-stats format (Next.js 16.2+); otherwise the legacy
- * webpack-stats format.
+ * webpack-stats format. With the new format, Pages Router routes are read
+ * from `build-manifest.json` and `server/pages-manifest.json`, and with
+ * `options.async` the lazy chunks of the whole app are the JS files in
+ * `static/chunks` that no route loads up front (`global.async`). With
+ * `options.serverBundles`, the middleware and edge function bundles of
+ * `server/middleware-manifest.json` are measured too.
+ *
+ * The stats file and the manifests are validated first (see validate.js).
+ * Unusable stats throw a `StatsValidationError`, and so does a missing or
+ * partly malformed stats file with `options.strict`.
+ *
+ * Each chunk file is compressed once, however many routes load it (see
+ * `createSizeCache`). Large builds compress the chunks the stats and
+ * manifests reference up front in parallel worker threads (`options.workers`,
+ * default one per CPU).
  *
  * @param {string} statsPath
- * @param {boolean} calculateGzip
- * @returns {Record<string, { gzip: number }>}
+ * @param {boolean} calculateGzip - Whether to measure chunk files on disk
+ * @param {{ compression?: string, css?: boolean, async?: boolean, layouts?: boolean, sharedClusters?: boolean, serverBundles?: boolean, ignore?: string[], workers?: number, strict?: boolean, sizeCache?: object }} [options]
+ *   Passed through to `processNewStats` / `processStats`; `sizeCache` replaces the cache
+ *   shared by all calls, e.g. to measure a build afresh
+ * @returns {Record<string, { raw: number, gzip?: number, brotli?: number }>}
  */
-function parseStatsFile(statsPath, calculateGzip) {
+function parseStatsFile(statsPath, calculateGzip, options = {}) {
   const resolvedPath = resolveStatsPath(statsPath);
-  if (!fs.existsSync(resolvedPath)) return {};
-  const stats = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
-
   const dotNextDir = findDotNextDir(resolvedPath);
+  const stats = loadStatsFile(resolvedPath, dotNextDir, options);
+  if (stats === null) return {};
+  return measureStats(stats, dotNextDir, calculateGzip, options);
+}
 
-  const getGzipSize = calculateGzip
-    ? (assetName) => {
-        const relativeFromDotNext =
-          assetName.startsWith(".next/") || assetName.startsWith(".next" + path.sep)
-            ? assetName.slice(".next".length + 1)
-            : assetName;
-        const filePath = path.join(dotNextDir, relativeFromDotNext);
-        if (fs.existsSync(filePath)) {
-          return zlib.gzipSync(fs.readFileSync(filePath)).length;
-        }
-        console.log(`⚠️ Warning: Could not find file on disk for gzip: ${filePath}`);
-        return 0;
+/**
+ * Measures the routes of a parsed stats file (see `parseStatsFile`).
+ *
+ * @param {Array<object> | object} stats
+ * @param {string} dotNextDir
+ * @param {boolean} calculateGzip
+ * @param {object} options
+ * @returns {Record<string, object>}
+ */
+function measureStats(stats, dotNextDir, calculateGzip, options) {
+  if (!calculateGzip) return processBuild(stats, dotNextDir, null, options);
+  const { sizeCache = defaultSizeCache } = options;
+
+  const resolveAsset = (assetName) => {
+    const relativeFromDotNext =
+      assetName.startsWith(".next/") || assetName.startsWith(".next" + path.sep)
+        ? assetName.slice(".next".length + 1)
+        : assetName;
+    return path.join(dotNextDir, relativeFromDotNext);
+  };
+
+  sizeCache.prefetch(
+    listReferencedAssets(stats, dotNextDir, options)
+      .map(resolveAsset)
+      .filter((filePath) => fs.existsSync(filePath)),
+    ["raw", ...getCompressionAlgorithms(options.compression)],
+    { workers: options.workers },
+  );
+
+  const routes = processBuild(
+    stats,
+    dotNextDir,
+    (assetName, metric) => {
+      const filePath = resolveAsset(assetName);
+      if (fs.existsSync(filePath)) return sizeCache.getSize(filePath, metric);
+      console.warn(`⚠️ Warning: Could not find file on disk for ${metric}: ${filePath}`);
+      return 0;
+    },
+    options,
+  );
+  return addChunkHashes(routes, (assetName) => {
+    const filePath = resolveAsset(assetName);
+    return fs.existsSync(filePath) ? sizeCache.getHash(filePath) : null;
+  });
+}
+
+/**
+ * Lists the JS files (and with `options.css` the stylesheets) that the stats
+ * and the build manifest reference, as `processBuild` measures them, so they
+ * can be compressed up front. Lazy chunks are included with `options.async`.
+ *
+ * @param {Array<object> | object} stats
+ * @param {string} dotNextDir
+ * @param {{ css?: boolean, async?: boolean }} options
+ * @returns {string[]} Asset names as given in the stats and manifests
+ */
+function listReferencedAssets(stats, dotNextDir, options) {
+  const assetNames = [];
+  if (Array.isArray(stats)) {
+    for (const entry of stats.filter(isValidStatsEntry)) {
+      assetNames.push(...entry.firstLoadChunkPaths);
+    }
+    const buildManifestPath = path.join(dotNextDir, "build-manifest.json");
+    if (fs.existsSync(buildManifestPath)) {
+      const buildManifest = JSON.parse(fs.readFileSync(buildManifestPath, "utf8"));
+      Object.values(buildManifest.pages || {}).forEach((files) => assetNames.push(...files));
+    }
+    if (options.async) assetNames.push(...findLazyChunks(dotNextDir, stats));
+  } else {
+    const entrypoints = stats.namedChunkGroups || stats.entrypoints || {};
+    for (const chunkGroup of Object.values(entrypoints)) {
+      for (const asset of chunkGroup.assets || []) {
+        assetNames.push(typeof asset === "string" ? asset : asset.name);
       }
-    : null;
+    }
+    if (options.async) {
+      (stats.chunks || []).forEach((chunk) => assetNames.push(...(chunk.files || [])));
+    }
+  }
+  const extensions = options.css ? [".js", ".css"] : [".js"];
+  return [...new Set(assetNames)].filter((assetName) =>
+    extensions.includes(path.extname(assetName)),
+  );
+}
+
+/**
+ * Length of the content hashes stored with each chunk, enough to tell two
+ * versions of a file apart.
+ */
+const CHUNK_HASH_LENGTH = 16;
+
+/**
+ * Stores the content hash of each measured chunk next to its sizes
+ * (`chunks[path].hash`), so a later build can tell which chunks changed even
+ * when their file names and sizes did not.
+ *
+ * @param {Record<string, object>} routes
+ * @param {(assetName: string) => string | null} getAssetHash
+ * @returns {Record<string, object>} The same routes
+ */
+function addChunkHashes(routes, getAssetHash) {
+  for (const entry of Object.values(routes)) {
+    for (const sizes of [entry, entry.async]) {
+      if (!sizes || !sizes.chunks) continue;
+      for (const [assetName, chunk] of Object.entries(sizes.chunks)) {
+        const hash = getAssetHash(assetName);
+        if (hash) chunk.hash = hash.slice(0, CHUNK_HASH_LENGTH);
+      }
+    }
+  }
+  return routes;
+}
+
+/**
+ * Processes a parsed stats file of the build in `dotNextDir` (see `parseStatsFile`).
+ *
+ * @param {Array<object> | object} stats
+ * @param {string} dotNextDir
+ * @param {((assetName: string, metric: string) => number) | null} getAssetSize
+ * @param {object} options
+ * @returns {Record<string, object>}
+ */
+function processBuild(stats, dotNextDir, getAssetSize, options) {
+  const serverBundles = {};
+  const middlewareManifestPath = path.join(dotNextDir, "server", "middleware-manifest.json");
+  if (options.serverBundles && fs.existsSync(middlewareManifestPath)) {
+    const middlewareManifest = JSON.parse(fs.readFileSync(middlewareManifestPath, "utf8"));
+    Object.assign(
+      serverBundles,
+      processMiddlewareManifest(middlewareManifest, getAssetSize, options),
+    );
+  }
 
   if (Array.isArray(stats)) {
     const manifestPath = path.join(dotNextDir, "server", "app-paths-manifest.json");
     const routeGroupMap = buildRouteGroupMap(manifestPath);
-    return processNewStats(stats, getGzipSize, routeGroupMap);
+    const pagesRoutes = parsePagesManifests(dotNextDir, getAssetSize, options);
+    // Pages Router routes are measured from the build manifest, so they
+    // must not shrink the chunks shared by all App Router routes.
+    const appStats = stats.filter(
+      (entry) => !(entry && `${PAGES_ROUTE_PREFIX}${entry.route}` in pagesRoutes),
+    );
+    const routes = {
+      ...processNewStats(appStats, getAssetSize, routeGroupMap, options),
+      ...pagesRoutes,
+      ...serverBundles,
+    };
+    if (options.async) {
+      const metrics = ["raw", ...getCompressionAlgorithms(options.compression)];
+      const lazyChunks = findLazyChunks(dotNextDir, stats);
+      routes["global"] = {
+        ...(routes["global"] || measureAssets([], getAssetSize, metrics)),
+        async: measureAssets(lazyChunks, getAssetSize, metrics),
+      };
+    }
+    return routes;
   }
-  return processStats(stats, getGzipSize);
+  return { ...processStats(stats, getAssetSize, options), ...serverBundles };
 }
 
 /**
- * Generates a markdown report comparing current routes to a baseline.
+ * Lists the JS chunks of a build that no route loads up front, i.e. the
+ * chunks behind `next/dynamic` and `import()`. route-bundle-stats.json does
+ * not say which route loads them, so they are only known app-wide.
+ *
+ * @param {string} dotNextDir
+ * @param {Array<{ firstLoadChunkPaths?: string[] }>} stats - Parsed route-bundle-stats.json
+ * @returns {string[]} Chunk paths relative to `.next`, e.g. `static/chunks/123.js`
+ */
+function findLazyChunks(dotNextDir, stats) {
+  const chunksDir = path.join(dotNextDir, "static", "chunks");
+  if (!fs.existsSync(chunksDir)) return [];
+
+  const toRelative = (chunkPath) => chunkPath.replace(/^\.next\//, "");
+  const firstLoad = new Set(
+    stats
+      .filter(isValidStatsEntry)
+      .flatMap((entry) => entry.firstLoadChunkPaths)
+      .map(toRelative),
+  );
+  const buildManifestPath = path.join(dotNextDir, "build-manifest.json");
+  if (fs.existsSync(buildManifestPath)) {
+    const buildManifest = JSON.parse(fs.readFileSync(buildManifestPath, "utf8"));
+    for (const files of [
+      ...Object.values(buildManifest.pages || {}),
+      buildManifest.polyfillFiles || [],
+      buildManifest.rootMainFiles || [],
+      buildManifest.lowPriorityFiles || [],
+    ]) {
+      files.forEach((file) => firstLoad.add(toRelative(file)));
+    }
+  }
+
+  return listFiles(chunksDir)
+    .map((file) => path.posix.join("static/chunks", file))
+    .filter((file) => file.endsWith(".js") && !firstLoad.has(file))
+    .sort();
+}
+
+/**
+ * Lists the files below a directory, as paths relative to it with `/`
+ * separators. `fs.readdirSync` only recurses from Node.js 18.17.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) =>
+      entry.isDirectory()
+        ? listFiles(path.join(dir, entry.name)).map((file) => `${entry.name}/${file}`)
+        : [entry.name],
+    );
+}
+
+/**
+ * Reads the Pages Router manifests of a build, if it has any pages.
+ *
+ * @param {string} dotNextDir
+ * @param {((assetName: string, metric: string) => number) | null} getAssetSize
+ * @param {{ compression?: string, css?: boolean }} options
+ * @returns {Record<string, object>}
+ */
+function parsePagesManifests(dotNextDir, getAssetSize, options) {
+  const buildManifestPath = path.join(dotNextDir, "build-manifest.json");
+  if (!fs.existsSync(buildManifestPath)) return {};
+  const buildManifest = JSON.parse(fs.readFileSync(buildManifestPath, "utf8"));
+  const pagesManifestPath = path.join(dotNextDir, "server", "pages-manifest.json");
+  const pageRoutes = fs.existsSync(pagesManifestPath)
+    ? Object.keys(JSON.parse(fs.readFileSync(pagesManifestPath, "utf8")))
+    : null;
+  return processPagesRouter(buildManifest, pageRoutes, getAssetSize, options);
+}
+
+/**
+ * Returns the keys of both route maps: App Router routes before Pages Router
+ * routes, each with their `global` entry first, then the layout segments,
+ * the shared chunk clusters and the routes, sorted alphabetically.
+ *
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @returns {string[]}
+ */
+function getAllRouteKeys(currentRoutes, baselineRoutes) {
+  return [...new Set([...Object.keys(currentRoutes), ...Object.keys(baselineRoutes)])].sort(
+    (a, b) => {
+      if (getRouter(a) !== getRouter(b)) return getRouter(a) === "app" ? -1 : 1;
+      const rank = (route) =>
+        [isGlobalRoute, isLayoutSegment, isSharedCluster, () => true].findIndex((test) =>
+          test(route),
+        );
+      return rank(a) - rank(b) || a.localeCompare(b);
+    },
+  );
+}
+
+function stripRouteGroups(route) {
+  return route.replace(/\/\([^/)]*\)/g, "") || "/";
+}
+
+function getChunkOverlap(current, baseline) {
+  const currentChunks = Object.keys(current.chunks || {});
+  const baselineChunks = new Set(Object.keys(baseline.chunks || {}));
+  if (currentChunks.length === 0 || baselineChunks.size === 0) return 0;
+  const shared = currentChunks.filter((chunk) => baselineChunks.has(chunk)).length;
+  return shared / (currentChunks.length + baselineChunks.size - shared);
+}
+
+/**
+ * Returns whether two routes load the same page-specific chunks: the chunks
+ * that no other page of either build loads.
+ *
+ * @param {object} current
+ * @param {object} baseline
+ * @param {Map<string, number>} chunkUsers - chunk path → number of pages loading it in
+ *   both builds
+ * @returns {boolean}
+ */
+function hasSamePageChunks(current, baseline, chunkUsers) {
+  const currentChunks = new Set(Object.keys(current.chunks || {}));
+  const baselineChunks = new Set(Object.keys(baseline.chunks || {}));
+  const isInBoth = (chunk) => currentChunks.has(chunk) && baselineChunks.has(chunk);
+  const pageChunks = [...new Set([...currentChunks, ...baselineChunks])].filter(
+    (chunk) => chunkUsers.get(chunk) === (isInBoth(chunk) ? 2 : 1),
+  );
+  return pageChunks.length > 0 && pageChunks.every(isInBoth);
+}
+
+/**
+ * Matches routes that were removed with routes that were added, so a moved
+ * or renamed page is compared with its old self instead of being reported as
+ * removed and new.
+ *
+ * Routes of the same router match when their paths are equal without route
+ * groups (a page moved between groups), or else when they load the same
+ * page-specific chunks (see `hasSamePageChunks`), best chunk overlap first.
+ *
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @returns {Map<string, string>} current route → baseline route it was renamed from
+ */
+function findRenamedRoutes(currentRoutes, baselineRoutes) {
+  const isPage = (route) => !isSharedEntry(route) && !isServerBundle(route);
+  const added = Object.keys(currentRoutes)
+    .filter((route) => isPage(route) && !(route in baselineRoutes))
+    .sort();
+  const removed = new Set(
+    Object.keys(baselineRoutes)
+      .filter((route) => isPage(route) && !(route in currentRoutes))
+      .sort(),
+  );
+  const renames = new Map();
+
+  for (const route of added) {
+    const previous = [...removed].find(
+      (candidate) =>
+        getRouter(candidate) === getRouter(route) &&
+        stripRouteGroups(candidate) === stripRouteGroups(route),
+    );
+    if (previous === undefined) continue;
+    renames.set(route, previous);
+    removed.delete(previous);
+  }
+
+  const chunkUsers = new Map();
+  for (const routes of [currentRoutes, baselineRoutes]) {
+    for (const [route, entry] of Object.entries(routes)) {
+      if (!isPage(route)) continue;
+      for (const chunk of Object.keys(entry.chunks || {})) {
+        chunkUsers.set(chunk, (chunkUsers.get(chunk) || 0) + 1);
+      }
+    }
+  }
+
+  const candidates = [];
+  for (const route of added) {
+    if (renames.has(route)) continue;
+    for (const previous of removed) {
+      if (getRouter(previous) !== getRouter(route)) continue;
+      const current = currentRoutes[route];
+      const baseline = baselineRoutes[previous];
+      if (!hasSamePageChunks(current, baseline, chunkUsers)) continue;
+      candidates.push({ route, previous, overlap: getChunkOverlap(current, baseline) });
+    }
+  }
+  candidates.sort((a, b) => b.overlap - a.overlap);
+  for (const { route, previous } of candidates) {
+    if (renames.has(route) || !removed.has(previous)) continue;
+    renames.set(route, previous);
+    removed.delete(previous);
+  }
+
+  return renames;
+}
+
+/**
+ * Returns the baseline routes with renamed routes moved to their new key.
+ *
+ * @param {Record<string, object>} baselineRoutes
+ * @param {Map<string, string>} renames - See `findRenamedRoutes`
+ * @returns {Record<string, object>}
+ */
+function applyRenames(baselineRoutes, renames) {
+  const routes = { ...baselineRoutes };
+  for (const [route, previous] of renames) {
+    routes[route] = routes[previous];
+    delete routes[previous];
+  }
+  return routes;
+}
+
+/**
+ * Prepares the routes of a report: leaves out the routes ignored by the
+ * config, and moves renamed routes of the baseline to their new route.
+ *
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @param {{ ignore: string[], overrides: object[] }} config - See `loadConfig`
+ * @returns {{ currentRoutes: Record<string, object>, baselineRoutes: Record<string, object>, renames: Map<string, string> }}
+ */
+function prepareRoutes(currentRoutes, baselineRoutes, config) {
+  const current = omitIgnoredRoutes(currentRoutes, config.ignore);
+  const baseline = omitIgnoredRoutes(baselineRoutes, config.ignore);
+  const renames = findRenamedRoutes(current, baseline);
+  return { currentRoutes: current, baselineRoutes: applyRenames(baseline, renames), renames };
+}
+
+/**
+ * Returns the size metrics present in a routes map, in display order.
  *
- * @param {Record<string, { gzip: number }>} currentRoutes
- * @param {Record<string, { gzip: number }>} baselineRoutes
+ * @param {Record<string, object>} routes
+ * @returns {string[]}
+ */
+function detectMetrics(routes) {
+  return Object.keys(METRIC_LABELS).filter((metric) =>
+    Object.values(routes).some((entry) => typeof entry[metric] === "number"),
+  );
+}
+
+function getReportMetrics(currentRoutes, baselineRoutes) {
+  const currentMetrics = detectMetrics(currentRoutes);
+  return currentMetrics.length > 0 ? currentMetrics : detectMetrics(baselineRoutes);
+}
+
+/**
+ * Returns the compression metric that drives sizes, first load and diffs:
+ * the first one found in the current routes (gzip, then brotli), or in the
+ * baseline when there are no current routes.
+ *
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @returns {string}
+ */
+function getPrimaryMetric(currentRoutes, baselineRoutes) {
+  return (
+    getReportMetrics(currentRoutes, baselineRoutes).find((metric) => metric !== "raw") || "gzip"
+  );
+}
+
+/**
+ * Collects the client chunks of all entries of a routes map, first-load and
+ * lazy, each once however many routes load it.
+ *
+ * @param {Record<string, object>} routes
+ * @returns {Map<string, { hash?: string } & Record<string, number>>} chunk path relative to
+ *   `.next` → sizes
+ */
+function getAppChunks(routes) {
+  const chunks = new Map();
+  for (const [route, entry] of Object.entries(routes)) {
+    if (isServerBundle(route)) continue;
+    for (const sizes of [entry, entry.async]) {
+      for (const [chunkPath, chunk] of Object.entries((sizes && sizes.chunks) || {})) {
+        chunks.set(chunkPath.replace(/^\.next\//, ""), chunk);
+      }
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Sums the unique JS of the whole app, and the part of it a returning
+ * visitor has to download again: chunks that are new, or whose content hash
+ * differs from the baseline. Chunks saved without hashes are compared by
+ * size.
+ *
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @param {string} metric
+ * @returns {{ chunks: number, total: number, baselineTotal: number | null, invalidated: number | null, invalidatedChunks: number | null } | null}
+ *   The baseline figures are null when the baseline has no chunk sizes; null when the current
+ *   routes have none either
+ */
+function getAppSummary(currentRoutes, baselineRoutes, metric) {
+  const current = getAppChunks(currentRoutes);
+  if (current.size === 0) return null;
+  const baseline = getAppChunks(baselineRoutes);
+  const sum = (chunks) => chunks.reduce((total, chunk) => total + (chunk[metric] || 0), 0);
+  const total = sum([...current.values()]);
+  if (baseline.size === 0) {
+    return {
+      chunks: current.size,
+      total,
+      baselineTotal: null,
+      invalidated: null,
+      invalidatedChunks: null,
+    };
+  }
+
+  const isInvalidated = (chunkPath, chunk) => {
+    const previous = baseline.get(chunkPath);
+    if (!previous) return true;
+    if (chunk.hash && previous.hash) return chunk.hash !== previous.hash;
+    return Object.keys(METRIC_LABELS).some(
+      (size) =>
+        typeof chunk[size] === "number" &&
+        typeof previous[size] === "number" &&
+        chunk[size] !== previous[size],
+    );
+  };
+  const invalidated = [...current].filter(([chunkPath, chunk]) => isInvalidated(chunkPath, chunk));
+  return {
+    chunks: current.size,
+    total,
+    baselineTotal: sum([...baseline.values()]),
+    invalidated: sum(invalidated.map(([, chunk]) => chunk)),
+    invalidatedChunks: invalidated.length,
+  };
+}
+
+/**
+ * Formats the whole-app summary shown above the route tables, or returns an
+ * empty string when chunk sizes were not measured.
+ *
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @param {string} metric
  * @param {number} threshold
+ * @param {number} budgetPercentIncreaseRed
  * @returns {string}
  */
-function generateReport(
+function formatAppSummary(
   currentRoutes,
   baselineRoutes,
+  metric,
+  threshold,
+  budgetPercentIncreaseRed,
+) {
+  const summary = getAppSummary(currentRoutes, baselineRoutes, metric);
+  if (!summary) return "";
+  const chunkCount = (count) => `${count} chunk${count === 1 ? "" : "s"}`;
+  const hasBaseline = summary.baselineTotal !== null;
+  const diff = hasBaseline
+    ? formatDiff(summary.total, summary.baselineTotal, threshold, budgetPercentIncreaseRed)
+    : "—";
+  const share = summary.total > 0 ? Math.round((summary.invalidated / summary.total) * 100) : 0;
+  const invalidated = hasBaseline
+    ? `\`${formatBytes(summary.invalidated)}\` (${share}%) in ${chunkCount(summary.invalidatedChunks)}`
+    : "—";
+  return (
+    `| Total JS (${METRIC_LABELS[metric]}) | Diff (vs baseline) | Invalidated |\n|---|---|---|\n` +
+    `| \`${formatBytes(summary.total)}\` in ${chunkCount(summary.chunks)} | ${diff} | ${invalidated} |\n\n` +
+    "Each chunk is counted once. Invalidated chunks are new or changed since the baseline, so returning visitors download them again.\n\n"
+  );
+}
+
+/**
+ * Formats the packages whose module bytes changed the most in a route, e.g.
+ * "- `/dashboard`: +23 KB from `date-fns`, -1 KB from `lodash`", or returns
+ * an empty string when package data is missing or unchanged.
+ *
+ * @param {string} route
+ * @param {{ packages?: Record<string, number> }} current
+ * @param {{ packages?: Record<string, number> }} baseline
+ * @param {number} [limit] - Maximum number of packages listed
+ * @returns {string}
+ */
+function formatPackageChanges(route, current, baseline, limit = 5) {
+  if (!current.packages || !baseline.packages) return "";
+  const names = new Set([...Object.keys(current.packages), ...Object.keys(baseline.packages)]);
+  const changes = [...names]
+    .map((name) => ({
+      name,
+      delta: (current.packages[name] || 0) - (baseline.packages[name] || 0),
+    }))
+    .filter(({ delta }) => delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name))
+    .slice(0, limit);
+  if (changes.length === 0) return "";
+  const parts = changes.map(({ name, delta }) => {
+    const sign = delta > 0 ? "+" : "-";
+    return `${sign}${formatBytes(Math.abs(delta))} from \`${name.replace(/^node_modules\//, "")}\``;
+  });
+  return `- \`${route}\`: ${parts.join(", ")}`;
+}
+
+/**
+ * Formats how the first load of a route splits into the root layout (its
+ * router's `global` entry), its nested layouts, the shared chunk clusters it
+ * loads and the page itself, or returns an empty string for routes without
+ * layout segments.
+ *
+ * @param {string} route
+ * @param {Record<string, object>} routes
+ * @param {string} metric
+ * @param {string} name - Route name shown in the report
+ * @returns {string} e.g. "- `/(shop)/cart`: root layout `200 KB` + `/(shop) layout` `30 KB` + page `10 KB` = `240 KB`"
+ */
+function formatSegmentBreakdown(route, routes, metric, name) {
+  const entry = routes[route];
+  if (!entry.layouts) return "";
+  const size = (key) => `\`${formatBytes((routes[key] || {})[metric] || 0)}\``;
+  const parts = [
+    `root layout ${size(getGlobalKey(route))}`,
+    ...[...entry.layouts, ...(entry.clusters || [])].map(
+      (key) => `\`${getRouteLabel(key)}\` ${size(key)}`,
+    ),
+    `page ${size(route)}`,
+  ];
+  return `- \`${name}\`: ${parts.join(" + ")} = \`${formatBytes(getFirstLoadSize(routes, route, metric))}\``;
+}
+
+const SERVER_BUNDLE_TYPES = {
+  middleware: "Middleware",
+  edge: "Edge function",
+};
+
+/**
+ * Formats the middleware and edge function bundles as their own table, or
+ * returns an empty string when there are none, or none changed and none
+ * exceeds `limit`.
+ *
+ * @param {string[]} allRoutes
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @param {string} metric
+ * @param {number} threshold
+ * @param {number} budgetPercentIncreaseRed
+ * @param {number} limit - Hard size limit of a bundle in bytes; 0 for none
+ * @returns {string}
+ */
+function formatServerBundles(
+  allRoutes,
+  currentRoutes,
+  baselineRoutes,
+  metric,
+  threshold,
+  budgetPercentIncreaseRed,
+  limit,
+) {
+  const bundles = allRoutes.filter(isServerBundle);
+  const rows = [];
+  let hasChanges = false;
+  for (const route of bundles) {
+    const current = currentRoutes[route];
+    const baseline = baselineRoutes[route];
+    const type = SERVER_BUNDLE_TYPES[(current || baseline).type] || "";
+    const name = `\`${getRouteLabel(route)}\``;
+    if (!current) {
+      hasChanges = true;
+      rows.push(`| ${name} | ${type} | — | 🗑️ Removed |${limit > 0 ? " — |" : ""}`);
+      continue;
+    }
+    const size = current[metric] || 0;
+    const baselineSize = baseline ? baseline[metric] : undefined;
+    if (baselineSize === undefined || Math.abs(size - baselineSize) > threshold) hasChanges = true;
+    let limitCell = "";
+    if (limit > 0) {
+      if (size > limit) {
+        hasChanges = true;
+        limitCell = ` 🚨 over \`${formatBytes(limit)}\` |`;
+      } else {
+        limitCell = ` ✅ ${parseFloat(((size / limit) * 100).toFixed(1))}% of \`${formatBytes(limit)}\` |`;
+      }
+    }
+    rows.push(
+      `| ${name} | ${type} | \`${formatBytes(size)}\` | ${formatDiff(size, baselineSize, threshold, budgetPercentIncreaseRed)} |${limitCell}`,
+    );
+  }
+  if (!hasChanges) return "";
+
+  return (
+    `\n### 🖥️ Middleware and edge functions (${METRIC_LABELS[metric]})\n\n` +
+    `| Bundle | Type | Size | Diff (vs baseline) |${limit > 0 ? " Limit |" : ""}\n` +
+    `|---|---|---|---|${limit > 0 ? "---|" : ""}\n` +
+    rows.join("\n") +
+    "\n"
+  );
+}
+
+/**
+ * Formats the lazy-loaded (`next/dynamic`, `import()`) chunk sizes that
+ * changed, with their chunk breakdowns, or returns an empty string when no
+ * route has lazy chunks or none changed. `global` holds the lazy chunks of
+ * the whole app.
+ *
+ * @param {string[]} allRoutes
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @param {string} metric
+ * @param {number} threshold
+ * @param {number} budgetPercentIncreaseRed
+ * @param {(route: string) => string} routeName - Formats a route key for display
+ * @returns {string}
+ */
+function formatAsyncChanges(
+  allRoutes,
+  currentRoutes,
+  baselineRoutes,
+  metric,
+  threshold,
+  budgetPercentIncreaseRed,
+  routeName,
+) {
+  const rows = [];
+  const chunkSections = [];
+  for (const route of allRoutes) {
+    const current = (currentRoutes[route] || {}).async;
+    const baseline = (baselineRoutes[route] || {}).async;
+    if (!current && !baseline) continue;
+    const name = route === "global" ? "all routes" : routeName(route);
+
+    if (!current) {
+      rows.push(`| \`${name}\` | — | 🗑️ Removed |`);
+      continue;
+    }
+    const size = current[metric] || 0;
+    if (baseline && Math.abs(size - (baseline[metric] || 0)) <= threshold) continue;
+    if (!baseline && size === 0) continue;
+
+    const diff = baseline
+      ? formatDiff(size, baseline[metric] || 0, threshold, budgetPercentIncreaseRed)
+      : "🆕 New";
+    rows.push(`| \`${name}\` | \`${formatBytes(size)}\` | ${diff} |`);
+    if (baseline) {
+      const chunkChanges = formatChunkChanges(
+        `${name} (lazy)`,
+        current,
+        baseline,
+        metric,
+        budgetPercentIncreaseRed,
+      );
+      if (chunkChanges) chunkSections.push(chunkChanges);
+    }
+  }
+  if (rows.length === 0) return "";
+
+  let markdown =
+    `\n### 💤 Lazy-loaded chunks (${METRIC_LABELS[metric]})\n\n` +
+    "| Route | Lazy size | Diff (vs baseline) |\n|---|---|---|\n" +
+    rows.join("\n") +
+    "\n";
+  if (chunkSections.length > 0) markdown += "\n" + chunkSections.join("\n");
+  return markdown;
+}
+
+/**
+ * Formats a collapsible breakdown of the chunks that were added, removed or
+ * resized in a route, or returns an empty string when the chunks are
+ * unknown (e.g. an older baseline) or unchanged.
+ *
+ * @param {string} route
+ * @param {{ chunks?: Record<string, Record<string, number>> }} current
+ * @param {{ chunks?: Record<string, Record<string, number>> }} baseline
+ * @param {string} metric
+ * @param {number} budgetPercentIncreaseRed
+ * @returns {string}
+ */
+function formatChunkChanges(route, current, baseline, metric, budgetPercentIncreaseRed = 0) {
+  if (!current.chunks || !baseline.chunks) return "";
+
+  const changes = [];
+  const chunkPaths = new Set([...Object.keys(current.chunks), ...Object.keys(baseline.chunks)]);
+  for (const chunkPath of chunkPaths) {
+    const currentSize = (current.chunks[chunkPath] || {})[metric];
+    const baselineSize = (baseline.chunks[chunkPath] || {})[metric];
+    if (currentSize === baselineSize) continue;
+    changes.push({
+      chunkPath,
+      currentSize,
+      baselineSize,
+      delta: (currentSize || 0) - (baselineSize || 0),
+    });
+  }
+  if (changes.length === 0) return "";
+
+  changes.sort(
+    (a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.chunkPath.localeCompare(b.chunkPath),
+  );
+
+  const count = (predicate) => changes.filter(predicate).length;
+  const added = count((c) => c.baselineSize === undefined);
+  const removed = count((c) => c.currentSize === undefined);
+  const resized = changes.length - added - removed;
+
+  const rows = changes.map(({ chunkPath, currentSize, baselineSize, delta }) => {
+    const name = `\`${chunkPath.replace(/^\.next\//, "")}\``;
+    if (baselineSize === undefined) {
+      return `| ${name} | \`${formatBytes(currentSize)}\` | 🆕 Added \`+${formatBytes(delta)}\` |`;
+    }
+    if (currentSize === undefined) {
+      return `| ${name} | — | 🗑️ Removed \`-${formatBytes(-delta)}\` |`;
+    }
+    return `| ${name} | \`${formatBytes(currentSize)}\` | ${formatDiff(currentSize, baselineSize, 0, budgetPercentIncreaseRed)} |`;
+  });
+
+  return (
+    `<details>\n<summary><code>${route}</code> chunks: ${added} added, ${removed} removed, ${resized} resized</summary>\n\n` +
+    `| Chunk | Size (${METRIC_LABELS[metric]}) | Diff (vs baseline) |\n|---|---|---|\n` +
+    rows.join("\n") +
+    "\n\n</details>\n"
+  );
+}
+
+/**
+ * Renders values as a sparkline, scaled between their minimum and maximum.
+ *
+ * @param {number[]} values
+ * @returns {string} e.g. "▁▃▄▇█"
+ */
+function formatSparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values
+    .map((value) => {
+      const level =
+        range === 0 ? 0 : Math.round(((value - min) / range) * (SPARKLINE_BARS.length - 1));
+      return SPARKLINE_BARS[level];
+    })
+    .join("");
+}
+
+/**
+ * Formats a trend table of the given routes: their size on each push in the
+ * history, followed by their size in this PR. Routes with fewer than two
+ * known sizes are left out; returns an empty string when none remain.
+ *
+ * @param {string[]} routes
+ * @param {Record<string, object>} currentRoutes
+ * @param {Array<{ sha: string, routes: Record<string, object> }>} history
+ * @param {string} metric
+ * @param {(route: string) => string} [routeName] - Formats a route key for display
+ * @returns {string}
+ */
+function formatTrends(routes, currentRoutes, history, metric, routeName = (route) => route) {
+  const rows = [];
+  for (const route of routes) {
+    const sizes = history
+      .map((entry) => (entry.routes[route] || {})[metric])
+      .filter((size) => typeof size === "number");
+    sizes.push(currentRoutes[route][metric] || 0);
+    if (sizes.length < 2) continue;
+    const first = sizes[0];
+    const last = sizes[sizes.length - 1];
+    rows.push(
+      `| \`${routeName(route)}\` | ${formatSparkline(sizes)} | \`${formatBytes(first)}\` → \`${formatBytes(last)}\` | ${formatDiff(last, first)} |`,
+    );
+  }
+  if (rows.length === 0) return "";
+  return (
+    `\n### 📈 Size trend (last ${history.length} pushes and this PR, ${METRIC_LABELS[metric]})\n\n` +
+    "| Route | Trend | Oldest → this PR | Change |\n|---|---|---|---|\n" +
+    rows.join("\n") +
+    "\n"
+  );
+}
+
+/**
+ * Names the commit the baseline was built from, e.g. "Compared against
+ * <sha>, the merge base of this PR." GitHub links full SHAs in comments.
+ *
+ * @param {{ sha?: string | null, mergeBaseSha?: string | null, isAncestor?: boolean, downloadFailed?: boolean }} baselineCommit
+ *   `mergeBaseSha` is set when the baseline was looked up by the merge base of the PR;
+ *   `isAncestor: false` means no ancestor of the merge base had one, and the latest baseline of
+ *   the base branch was used instead; `downloadFailed` means an ancestor had one, but it could
+ *   not be downloaded, and the latest baseline was used instead
+ * @returns {string}
+ */
+function formatBaselineCommit({ sha, mergeBaseSha, isAncestor = true, downloadFailed = false }) {
+  if (!sha) return "";
+  if (!mergeBaseSha) return `Compared against ${sha}.\n\n`;
+  if (downloadFailed) {
+    return `Compared against ${sha}, the latest baseline of the base branch: the baseline of the merge base ${mergeBaseSha} could not be downloaded.\n\n`;
+  }
+  if (!isAncestor) {
+    return `Compared against ${sha}, the latest baseline of the base branch: no ancestor of the merge base ${mergeBaseSha} has one.\n\n`;
+  }
+  if (sha === mergeBaseSha) return `Compared against ${sha}, the merge base of this PR.\n\n`;
+  return `Compared against ${sha}, the closest ancestor of the merge base ${mergeBaseSha} with a baseline.\n\n`;
+}
+
+/**
+ * Generates a markdown report comparing current routes to a baseline.
+ *
+ * The first compression metric of the current routes drives the size and
+ * diff columns; the sections follow the data the routes have (see the
+ * README).
+ *
+ * @param {Record<string, { raw?: number, gzip?: number, brotli?: number }>} originalCurrentRoutes
+ * @param {Record<string, { raw?: number, gzip?: number, brotli?: number }>} originalBaselineRoutes
+ * @param {number} threshold
+ * @param {number} [budgetPercentIncreaseRed]
+ * @param {string} [appName]
+ * @param {{ history?: Array<{ sha: string, timestamp: string, routes: Record<string, object> }>, serverBundleLimit?: number, header?: boolean, config?: object, baselineCommit?: { sha?: string | null, mergeBaseSha?: string | null, isAncestor?: boolean, downloadFailed?: boolean }, treemapUrl?: string, subject?: string }} [options]
+ *   `history` is the size history of the base branch, oldest first (see `appendHistory`);
+ *   `serverBundleLimit` is the hard size limit of middleware and edge function bundles in bytes;
+ *   `header: false` leaves out the title, e.g. for a section of a combined report;
+ *   `subject` names what is compared in the text, e.g. `push` for the job summary of a push;
+ *   `baselineCommit` is described at `formatBaselineCommit`; `treemapUrl` links the treemap
+ * @returns {string}
+ */
+function generateReport(
+  originalCurrentRoutes,
+  originalBaselineRoutes,
   threshold = 0,
   budgetPercentIncreaseRed = 0,
   appName = "",
+  options = {},
 ) {
+  const {
+    history = [],
+    serverBundleLimit = 0,
+    header = true,
+    config = EMPTY_CONFIG,
+    baselineCommit = {},
+    treemapUrl = "",
+    subject = "PR",
+  } = options;
+  const { currentRoutes, baselineRoutes, renames } = prepareRoutes(
+    originalCurrentRoutes,
+    originalBaselineRoutes,
+    config,
+  );
+  const allRoutes = getAllRouteKeys(currentRoutes, baselineRoutes);
+  const routers = Object.keys(ROUTER_TITLES).filter((router) =>
+    allRoutes.some((route) => !isServerBundle(route) && getRouter(route) === router),
+  );
+  const hasBothRouters = routers.length > 1;
+  const sizesTitle = hasBothRouters ? "Route Sizes" : `${ROUTER_TITLES[routers[0] || "app"]} Sizes`;
+
   const title = appName
-    ? `## 📦 ${appName} — App Router Sizes (Turbopack)`
-    : "## 📦 Next.js App Router Sizes (Turbopack)";
-  let markdown = `${title}\n\nThis analysis was generated by the [Next.js Turbopack Bundle Size action](https://github.com/michalsanger/nextjs-turbopack-bundle-size). 🤖\n\n`;
-
-  const allRoutes = [
-    ...new Set([...Object.keys(currentRoutes), ...Object.keys(baselineRoutes)]),
-  ].sort((a, b) => {
-    if (a === "global") return -1;
-    if (b === "global") return 1;
-    return a.localeCompare(b);
-  });
+    ? `## 📦 ${appName} — ${sizesTitle} (Turbopack)`
+    : `## 📦 Next.js ${sizesTitle} (Turbopack)`;
+  let markdown = header
+    ? `${title}\n\nThis analysis was generated by the [Next.js Turbopack Bundle Size action](https://github.com/michalsanger/nextjs-turbopack-bundle-size). 🤖\n\n`
+    : "";
+  markdown += formatBaselineCommit(baselineCommit);
+  if (treemapUrl) {
+    markdown += `📊 [Explore the chunks and modules in the interactive treemap](${treemapUrl}) (download the treemap artifact and open its HTML file).\n\n`;
+  }
+
+  // Tables are split by router, everything else names the router of a route
+  // when the build has both.
+  const routeName = (route) => (hasBothRouters ? route : getRouteLabel(route));
 
   if (allRoutes.length === 0) {
     markdown +=
@@ -300,74 +1959,443 @@ function generateReport(
     return markdown;
   }
 
-  const currentGlobal = (currentRoutes["global"] || {}).gzip || 0;
-  const baselineGlobal = (baselineRoutes["global"] || {}).gzip || 0;
+  const metrics = getReportMetrics(currentRoutes, baselineRoutes);
+  const primary = getPrimaryMetric(currentRoutes, baselineRoutes);
+  markdown += formatAppSummary(
+    currentRoutes,
+    baselineRoutes,
+    primary,
+    threshold,
+    budgetPercentIncreaseRed,
+  );
 
-  const changedRows = [];
+  // Each column returns the size it shows for a route entry, or undefined
+  // when the entry does not have it (e.g. a baseline from an older version).
+  const primaryColumn = { value: (entry) => entry[primary] };
+  const extraColumns = metrics
+    .filter((metric) => metric !== primary)
+    .map((metric) => ({
+      headers: `Size (${METRIC_LABELS[metric]}) | Diff (${METRIC_LABELS[metric]})`,
+      value: (entry) => entry[metric],
+    }));
+  const cssRoutes = Object.keys(currentRoutes).length > 0 ? currentRoutes : baselineRoutes;
+  if (Object.values(cssRoutes).some((entry) => entry.css)) {
+    extraColumns.push({
+      headers: `CSS (${METRIC_LABELS[primary]}) | CSS diff`,
+      value: (entry) => (entry.css ? entry.css[primary] : undefined),
+    });
+  }
+
+  const isComparable = (baseline, column) => typeof column.value(baseline) === "number";
+  const columnDiff = (current, baseline, column, settings) =>
+    isComparable(baseline, column)
+      ? formatDiff(
+          column.value(current) || 0,
+          column.value(baseline),
+          settings.threshold,
+          settings.budgetPercentIncreaseRed,
+        )
+      : "—";
+
+  const changedRows = { app: [], pages: [] };
+  const trendRoutes = [];
+  const chunkSections = [];
+  const packageLines = [];
+  const segmentLines = [];
   for (const route of allRoutes) {
+    if (isServerBundle(route)) continue;
     const current = currentRoutes[route];
     const baseline = baselineRoutes[route];
-    const isGlobal = route === "global";
+    const isGlobal = isGlobalRoute(route);
+    const isShared = isSharedEntry(route);
+    const rows = changedRows[getRouter(route)];
+    const clusterRoutes = (current || baseline).routes;
+    const previousRoute = renames.get(route);
+    let label = clusterRoutes
+      ? `\`${getRouteLabel(route)}\` (${clusterRoutes.length} routes)`
+      : `\`${getRouteLabel(route)}\``;
+    if (previousRoute) label += ` (renamed from \`${getRouteLabel(previousRoute)}\`)`;
+    const settings = isShared
+      ? { threshold, budgetPercentIncreaseRed }
+      : getRouteSettings(config, getRouteLabel(route), { threshold, budgetPercentIncreaseRed });
 
     if (current && baseline === undefined) {
-      const firstLoad = isGlobal ? " — |" : ` \`${formatBytes(current.gzip + currentGlobal)}\` |`;
-      changedRows.push(`| \`${route}\` | \`${formatBytes(current.gzip)}\` |${firstLoad} 🆕 New |`);
+      const firstLoad = isShared
+        ? " — |"
+        : ` \`${formatBytes(getFirstLoadSize(currentRoutes, route, primary))}\` |`;
+      const extraCells = extraColumns
+        .map((column) => ` \`${formatBytes(column.value(current) || 0)}\` | 🆕 New |`)
+        .join("");
+      rows.push(
+        `| ${label} | \`${formatBytes(current[primary])}\` |${firstLoad} 🆕 New |${extraCells}`,
+      );
+      segmentLines.push(formatSegmentBreakdown(route, currentRoutes, primary, routeName(route)));
     } else if (current === undefined && baseline) {
-      changedRows.push(`| \`${route}\` | — | — | 🗑️ Removed |`);
+      const extraCells = extraColumns.map(() => " — | — |").join("");
+      rows.push(`| ${label} | — | — | 🗑️ Removed |${extraCells}`);
     } else if (current && baseline) {
-      const diff = Math.abs(current.gzip - baseline.gzip);
-      if (diff > threshold) {
-        const firstLoad = isGlobal ? " — |" : ` \`${formatBytes(current.gzip + currentGlobal)}\` |`;
-        changedRows.push(
-          `| \`${route}\` | \`${formatBytes(current.gzip)}\` |${firstLoad} ${formatDiff(current.gzip, baseline.gzip, threshold, budgetPercentIncreaseRed)} |`,
+      const comparableColumns = [primaryColumn, ...extraColumns].filter((column) =>
+        isComparable(baseline, column),
+      );
+      const changed =
+        previousRoute !== undefined ||
+        comparableColumns.length === 0 ||
+        comparableColumns.some(
+          (column) =>
+            Math.abs((column.value(current) || 0) - column.value(baseline)) > settings.threshold,
+        );
+      if (changed) {
+        const firstLoad = isShared
+          ? " — |"
+          : ` \`${formatBytes(getFirstLoadSize(currentRoutes, route, primary))}\` |`;
+        const extraCells = extraColumns
+          .map(
+            (column) =>
+              ` \`${formatBytes(column.value(current) || 0)}\` | ${columnDiff(current, baseline, column, settings)} |`,
+          )
+          .join("");
+        rows.push(
+          `| ${label} | \`${formatBytes(current[primary])}\` |${firstLoad} ${columnDiff(current, baseline, primaryColumn, settings)} |${extraCells}`,
+        );
+        if (!isGlobal) trendRoutes.push(route);
+        const chunkChanges = formatChunkChanges(
+          routeName(route),
+          current,
+          baseline,
+          primary,
+          settings.budgetPercentIncreaseRed,
         );
+        if (chunkChanges) chunkSections.push(chunkChanges);
+        const packageChanges = formatPackageChanges(routeName(route), current, baseline);
+        if (packageChanges) packageLines.push(packageChanges);
+        segmentLines.push(formatSegmentBreakdown(route, currentRoutes, primary, routeName(route)));
       }
     }
   }
 
-  if (changedRows.length === 0) {
-    markdown += "This PR introduced no changes to the JavaScript bundle! 🙌\n";
-    return markdown;
+  const globalKeys = ["global", `${PAGES_ROUTE_PREFIX}global`].filter((key) => currentRoutes[key]);
+  const trends = formatTrends(
+    [...globalKeys, ...trendRoutes],
+    currentRoutes,
+    history,
+    primary,
+    routeName,
+  );
+
+  const asyncChanges = formatAsyncChanges(
+    allRoutes,
+    currentRoutes,
+    baselineRoutes,
+    primary,
+    threshold,
+    budgetPercentIncreaseRed,
+    routeName,
+  );
+
+  const serverBundles = formatServerBundles(
+    allRoutes,
+    currentRoutes,
+    baselineRoutes,
+    primary,
+    threshold,
+    budgetPercentIncreaseRed,
+    serverBundleLimit,
+  );
+
+  if (routers.every((router) => changedRows[router].length === 0)) {
+    markdown +=
+      asyncChanges || serverBundles
+        ? `This ${subject} introduced no changes to the first-load JavaScript.\n`
+        : `This ${subject} introduced no changes to the JavaScript bundle! 🙌\n`;
+    return markdown + trends + asyncChanges + serverBundles;
+  }
+
+  const extraHeaders = extraColumns.map((column) => ` ${column.headers} |`).join("");
+  const extraSeparators = extraColumns.map(() => "---|---|").join("");
+  const tableHeader = `| Route | Size (${METRIC_LABELS[primary]}) | First load | Diff (vs baseline) |${extraHeaders}\n|---|---|---|---|${extraSeparators}\n`;
+  const tables = routers
+    .filter((router) => changedRows[router].length > 0)
+    .map((router) => {
+      const heading = hasBothRouters ? `### ${ROUTER_TITLES[router]}\n\n` : "";
+      return heading + tableHeader + changedRows[router].join("\n") + "\n";
+    });
+  markdown += tables.join("\n");
+  markdown += trends;
+
+  const segmentBreakdown = segmentLines.filter(Boolean);
+  if (segmentBreakdown.length > 0) {
+    markdown +=
+      "\n<details>\n<summary>First load by segment</summary>\n\n" +
+      segmentBreakdown.join("\n") +
+      "\n\n</details>\n";
+  }
+
+  markdown += asyncChanges;
+  markdown += serverBundles;
+
+  if (packageLines.length > 0) {
+    markdown += "\n### 📚 Package changes (uncompressed)\n\n" + packageLines.join("\n") + "\n";
   }
 
-  markdown += "| Route | Size (gzipped) | First load | Diff (vs baseline) |\n|---|---|---|---|\n";
-  markdown += changedRows.join("\n") + "\n";
+  if (chunkSections.length > 0) {
+    markdown += "\n" + chunkSections.join("\n");
+  }
 
   return markdown;
 }
 
 /**
- * Parses stats, computes gzip sizes, and saves the result as JSON.
+ * Builds a machine-readable diff of the current routes against a baseline.
+ *
+ * Sizes use the same compression metric as the markdown report. `status` is
+ * "new", "removed", "changed" (the size moved by more than `threshold`) or
+ * "unchanged". `totalDeltaBytes` sums the deltas of the page routes and
+ * `global`, and `hasRegression` is true when one of them grew by more than
+ * `threshold`; layout segments, shared clusters and server bundles are left
+ * out of both, as are routes with a zero baseline, which was never measured
+ * (see `checkBudgets`). Renamed routes (see `findRenamedRoutes`) are compared with
+ * their old route, which is given as `renamedFrom`. `app` is the whole-app
+ * summary of `getAppSummary`: the deduplicated total of all chunks and the
+ * bytes invalidated since the baseline. Ignored routes and per-route
+ * thresholds of the config apply like in `generateReport`.
+ *
+ * @param {Record<string, object>} originalCurrentRoutes
+ * @param {Record<string, object>} originalBaselineRoutes
+ * @param {{ threshold?: number, violations?: Array<{ route: string, budget: string, actual: number, limit: number }>, config?: object }} [options]
+ *   `violations` are the budget violations from `checkBudgets`
+ * @returns {{ metric: string, threshold: number, totalDeltaBytes: number, hasRegression: boolean, budgetExceeded: boolean, app: object | null, routes: object[] }}
+ */
+function generateJsonReport(originalCurrentRoutes, originalBaselineRoutes, options = {}) {
+  const { threshold = 0, violations = [], config = EMPTY_CONFIG } = options;
+  const { currentRoutes, baselineRoutes, renames } = prepareRoutes(
+    originalCurrentRoutes,
+    originalBaselineRoutes,
+    config,
+  );
+  const metric = getPrimaryMetric(currentRoutes, baselineRoutes);
+  const allRoutes = getAllRouteKeys(currentRoutes, baselineRoutes);
+
+  let totalDeltaBytes = 0;
+  let hasRegression = false;
+  const routes = allRoutes.map((route) => {
+    const current = currentRoutes[route] ? currentRoutes[route][metric] || 0 : null;
+    const baseline = baselineRoutes[route] ? baselineRoutes[route][metric] : null;
+    const hasBaseline = typeof baseline === "number";
+    const routeThreshold = isSharedEntry(route)
+      ? threshold
+      : getRouteSettings(config, getRouteLabel(route), { threshold }).threshold;
+
+    let status;
+    if (current === null) status = "removed";
+    else if (!hasBaseline) status = "new";
+    else status = Math.abs(current - baseline) > routeThreshold ? "changed" : "unchanged";
+
+    const delta = (current || 0) - (hasBaseline ? baseline : 0);
+    const isTotalled =
+      (isGlobalRoute(route) || !(isSharedEntry(route) || isServerBundle(route))) &&
+      !(hasBaseline && baseline === 0);
+    if (isTotalled) {
+      totalDeltaBytes += delta;
+      if (status === "changed" && delta > routeThreshold) hasRegression = true;
+    }
+    const percent =
+      current !== null && hasBaseline && baseline > 0
+        ? parseFloat(((delta / baseline) * 100).toFixed(2))
+        : null;
+    const routeViolations = violations.filter((v) => v.route === route);
+
+    return {
+      route,
+      ...(renames.has(route) && { renamedFrom: renames.get(route) }),
+      status,
+      current,
+      baseline: hasBaseline ? baseline : null,
+      delta,
+      percent,
+      budget: {
+        status: routeViolations.length > 0 ? "fail" : "pass",
+        violations: routeViolations,
+      },
+    };
+  });
+
+  return {
+    metric,
+    threshold,
+    totalDeltaBytes,
+    hasRegression,
+    budgetExceeded: violations.length > 0,
+    app: getAppSummary(currentRoutes, baselineRoutes, metric),
+    routes,
+  };
+}
+
+/**
+ * Saved route sizes with the build they were measured from.
+ *
+ * @typedef {object} Baseline
+ * @property {number} schemaVersion - `BASELINE_SCHEMA_VERSION` when it was written
+ * @property {string | null} nextVersion - Next.js version of the app
+ * @property {"route-bundle-stats" | "webpack-stats" | null} statsFormat
+ * @property {string | null} commitSha
+ * @property {string} compression - Compression mode (see `getCompressionAlgorithms`)
+ * @property {Record<string, object>} routes
+ */
+
+/**
+ * Version of the files written by `saveRouteSizes`. A change to the format
+ * bumps it and adds a migration from the previous version to
+ * `BASELINE_MIGRATIONS`, so older baselines can still be compared.
+ */
+const BASELINE_SCHEMA_VERSION = 2;
+
+/**
+ * Upgrades a baseline of a schema version to the next version.
+ */
+const BASELINE_MIGRATIONS = {
+  // Version 1 was the bare routes map.
+  1: (routes) => {
+    const algorithms = ["gzip", "brotli"].filter((metric) =>
+      Object.values(routes).some((entry) => typeof entry[metric] === "number"),
+    );
+    return {
+      schemaVersion: 2,
+      nextVersion: null,
+      statsFormat: null,
+      commitSha: null,
+      compression: algorithms.length === 2 ? "both" : algorithms[0] || "gzip",
+      routes,
+    };
+  },
+};
+
+/**
+ * Parses stats, computes compressed sizes, and saves the result as a
+ * versioned `Baseline`.
  *
  * @param {string} statsPath - Path to webpack-stats.json
  * @param {string} outputPath - Path to write the computed route sizes
+ * @param {{ compression?: string, css?: boolean, async?: boolean, layouts?: boolean, sharedClusters?: boolean, serverBundles?: boolean, ignore?: string[], workers?: number, strict?: boolean, commitSha?: string }} [options]
+ *   Passed through to `parseStatsFile`. `commitSha` defaults to `GITHUB_SHA`.
  */
-function saveRouteSizes(statsPath, outputPath) {
+function saveRouteSizes(statsPath, outputPath, options = {}) {
   const resolvedPath = resolveStatsPath(statsPath);
-  const routes = parseStatsFile(resolvedPath, true);
-  fs.writeFileSync(outputPath, JSON.stringify(routes));
+  const baseline = {
+    schemaVersion: BASELINE_SCHEMA_VERSION,
+    nextVersion: null,
+    statsFormat: null,
+    commitSha: options.commitSha || process.env.GITHUB_SHA || null,
+    compression: options.compression || "gzip",
+    routes: {},
+  };
+  const dotNextDir = findDotNextDir(resolvedPath);
+  const stats = loadStatsFile(resolvedPath, dotNextDir, options);
+  if (stats !== null) {
+    baseline.nextVersion = getNextVersion(dotNextDir);
+    baseline.statsFormat = Array.isArray(stats) ? "route-bundle-stats" : "webpack-stats";
+    baseline.routes = measureStats(stats, dotNextDir, true, options);
+  }
+  fs.writeFileSync(outputPath, JSON.stringify(baseline));
 }
 
 /**
- * Loads pre-computed route sizes from a JSON file.
+ * Loads a baseline written by `saveRouteSizes`, migrated to the current
+ * schema version. Files of older versions of the action (a bare routes map)
+ * are schema version 1.
  *
  * @param {string} sizesPath - Path to the saved route sizes JSON
- * @returns {Record<string, { gzip: number }>}
+ * @returns {Baseline | null} null when the file does not exist
+ */
+function loadBaseline(sizesPath) {
+  if (!fs.existsSync(sizesPath)) return null;
+  const content = JSON.parse(fs.readFileSync(sizesPath, "utf8"));
+  const version = typeof content.schemaVersion === "number" ? content.schemaVersion : 1;
+  if (version > BASELINE_SCHEMA_VERSION) {
+    throw new Error(
+      `${sizesPath} has schema version ${version}, but this version of the action reads up to ${BASELINE_SCHEMA_VERSION}. Update the action.`,
+    );
+  }
+  let baseline = content;
+  for (let from = version; from < BASELINE_SCHEMA_VERSION; from++) {
+    baseline = BASELINE_MIGRATIONS[from](baseline);
+  }
+  return baseline;
+}
+
+/**
+ * Loads pre-computed route sizes from a JSON file (see `loadBaseline`).
+ *
+ * @param {string} sizesPath - Path to the saved route sizes JSON
+ * @returns {Record<string, { raw?: number, gzip?: number, brotli?: number }>}
  */
 function loadRouteSizes(sizesPath) {
-  if (!fs.existsSync(sizesPath)) return {};
-  return JSON.parse(fs.readFileSync(sizesPath, "utf8"));
+  const baseline = loadBaseline(sizesPath);
+  return baseline ? baseline.routes : {};
+}
+
+/**
+ * Appends the route sizes of a push to a size history and drops the oldest
+ * entries beyond `limit`. Only the top-level size metrics of each route are
+ * kept, so the history stays small.
+ *
+ * @param {Array<{ sha: string, timestamp: string, routes: Record<string, object> }>} history
+ * @param {Record<string, object>} routes
+ * @param {{ sha: string, timestamp: string, limit?: number }} options
+ * @returns {Array<{ sha: string, timestamp: string, routes: Record<string, object> }>}
+ */
+function appendHistory(history, routes, options) {
+  const { sha, timestamp, limit = DEFAULT_HISTORY_LENGTH } = options;
+  const sizes = {};
+  for (const [route, entry] of Object.entries(routes)) {
+    sizes[route] = {};
+    for (const metric of Object.keys(METRIC_LABELS)) {
+      if (typeof entry[metric] === "number") sizes[route][metric] = entry[metric];
+    }
+  }
+  return [...history, { sha, timestamp, routes: sizes }].slice(-limit);
+}
+
+/**
+ * Loads a size history written with `appendHistory`.
+ *
+ * @param {string} historyPath
+ * @returns {Array<{ sha: string, timestamp: string, routes: Record<string, object> }>}
+ */
+function loadHistory(historyPath) {
+  if (!fs.existsSync(historyPath)) return [];
+  return JSON.parse(fs.readFileSync(historyPath, "utf8"));
 }
 
 module.exports = {
+  METRIC_LABELS,
   formatBytes,
   formatDiff,
+  formatSparkline,
+  getCompressionAlgorithms,
+  getFirstLoadSize,
+  getGlobalKey,
+  getRouteLabel,
+  isGlobalRoute,
+  isIgnoredRoute,
+  isServerBundle,
+  isSharedEntry,
+  findRenamedRoutes,
+  prepareRoutes,
+  getModulePackage,
+  getPrimaryMetric,
   processStats,
   processNewStats,
+  processPagesRouter,
+  processMiddlewareManifest,
   buildRouteGroupMap,
   resolveStatsPath,
   parseStatsFile,
   generateReport,
+  generateJsonReport,
+  BASELINE_SCHEMA_VERSION,
   saveRouteSizes,
+  loadBaseline,
   loadRouteSizes,
+  appendHistory,
+  loadHistory,
 };
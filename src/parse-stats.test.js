@@ -4,14 +4,27 @@ const { describe, test, afterEach } = require("node:test");
 const assert = require("node:assert/strict");
 const fs = require("fs");
 const path = require("path");
+const { createSizeCache } = require("./compress.js");
 const {
   formatBytes,
   formatDiff,
+  formatSparkline,
+  getCompressionAlgorithms,
+  getModulePackage,
   processStats,
   processNewStats,
+  processPagesRouter,
+  processMiddlewareManifest,
   buildRouteGroupMap,
   generateReport,
+  generateJsonReport,
+  findRenamedRoutes,
   parseStatsFile,
+  appendHistory,
+  saveRouteSizes,
+  loadBaseline,
+  loadRouteSizes,
+  BASELINE_SCHEMA_VERSION,
 } = require("./parse-stats.js");
 
 // ---------------------------------------------------------------------------
@@ -101,6 +114,25 @@ describe("formatDiff", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// getCompressionAlgorithms
+// ---------------------------------------------------------------------------
+
+describe("getCompressionAlgorithms", () => {
+  test("defaults to gzip", () => {
+    assert.deepEqual(getCompressionAlgorithms(), ["gzip"]);
+    assert.deepEqual(getCompressionAlgorithms(""), ["gzip"]);
+  });
+
+  test("returns both algorithms for both mode", () => {
+    assert.deepEqual(getCompressionAlgorithms("both"), ["gzip", "brotli"]);
+  });
+
+  test("throws on unknown mode", () => {
+    assert.throws(() => getCompressionAlgorithms("zstd"), /Unknown compression mode "zstd"/);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // processStats
 // ---------------------------------------------------------------------------
@@ -155,6 +187,23 @@ describe("processStats", () => {
     assert.deepEqual(processStats(stats), {});
   });
 
+  test("leaves out ignored routes", () => {
+    const stats = makeStats(
+      {
+        "app/about/page": { assets: [{ name: "about.js" }] },
+        "app/_not-found/page": { assets: [{ name: "not-found.js" }] },
+        "pages/admin/index": { assets: [{ name: "admin.js" }] },
+      },
+      [
+        { name: "about.js", size: 2048 },
+        { name: "not-found.js", size: 1024 },
+        { name: "admin.js", size: 1024 },
+      ],
+    );
+    const routes = processStats(stats, null, { ignore: ["/_not-found", "/admin/**"] });
+    assert.deepEqual(Object.keys(routes), ["/about"]);
+  });
+
   test('strips "app" prefix and "/page" suffix from route name', () => {
     const stats = makeStats({ "app/about/page": { assets: [{ name: "about.js" }] } }, [
       { name: "about.js", size: 2048 },
@@ -171,6 +220,67 @@ describe("processStats", () => {
     assert.ok("/" in routes, "expected / route");
   });
 
+  test("keys Pages Router entries as pages: routes with _app in pages:global", () => {
+    const stats = makeStats(
+      {
+        "pages/_app": { assets: [{ name: "_app.js" }] },
+        "pages/_document": { assets: [{ name: "_document.js" }] },
+        "pages/index": { assets: [{ name: "index.js" }] },
+        "pages/blog/index": { assets: [{ name: "blog.js" }] },
+        "app/about/page": { assets: [{ name: "about.js" }] },
+      },
+      [
+        { name: "_app.js", size: 3000 },
+        { name: "_document.js", size: 100 },
+        { name: "index.js", size: 1000 },
+        { name: "blog.js", size: 2000 },
+        { name: "about.js", size: 500 },
+      ],
+    );
+    const routes = processStats(stats);
+    assert.deepEqual(Object.keys(routes).sort(), [
+      "/about",
+      "pages:/",
+      "pages:/blog",
+      "pages:global",
+    ]);
+    assert.equal(routes["pages:global"].raw, 3000);
+    assert.equal(routes["pages:/blog"].raw, 2000);
+  });
+
+  test("measures the lazy chunks of each route when async tracking is enabled", () => {
+    const stats = {
+      ...makeStats(
+        {
+          main: { chunks: [0], assets: [{ name: "main.js" }] },
+          "app/page": { chunks: [1], assets: [{ name: "home.js" }] },
+          "app/editor/page": { chunks: [2], assets: [{ name: "editor.js" }] },
+        },
+        [
+          { name: "main.js", size: 1000 },
+          { name: "home.js", size: 200 },
+          { name: "editor.js", size: 300 },
+          { name: "monaco.js", size: 5000 },
+          { name: "monaco-lang.js", size: 700 },
+        ],
+      ),
+      chunks: [
+        { id: 0, files: ["main.js"], children: [] },
+        { id: 1, files: ["home.js"], children: [] },
+        { id: 2, files: ["editor.js"], children: [3, 0] },
+        { id: 3, files: ["monaco.js"], children: [4] },
+        { id: 4, files: ["monaco-lang.js"], children: [] },
+      ],
+    };
+    const routes = processStats(stats, () => 100, { async: true });
+    assert.equal(routes["/editor"].async.raw, 5700);
+    assert.deepEqual(Object.keys(routes["/editor"].async.chunks), ["monaco.js", "monaco-lang.js"]);
+    assert.equal(routes["/"].async.raw, 0);
+    assert.equal(routes["global"].async.raw, 5700);
+    assert.ok(!("async" in processStats(stats)["/editor"]));
+    assert.ok(!("chunks" in processStats(stats, null, { async: true })["/editor"].async));
+  });
+
   test("sums multiple JS assets for a route", () => {
     const stats = makeStats({ "app/blog/page": { assets: [{ name: "a.js" }, { name: "b.js" }] } }, [
       { name: "a.js", size: 1000 },
@@ -194,6 +304,23 @@ describe("processStats", () => {
     assert.equal(routes["/shop"].gzip, 200);
   });
 
+  test("keeps uncompressed asset sizes for routes and global", () => {
+    const stats = makeStats(
+      {
+        webpack: { assets: [{ name: "webpack.js" }] },
+        "app/blog/page": { assets: [{ name: "a.js" }, { name: "b.js" }] },
+      },
+      [
+        { name: "webpack.js", size: 700 },
+        { name: "a.js", size: 1000 },
+        { name: "b.js", size: 500 },
+      ],
+    );
+    const routes = processStats(stats);
+    assert.equal(routes["/blog"].raw, 1500);
+    assert.equal(routes["global"].raw, 700);
+  });
+
   test("skips routes with zero total size", () => {
     const stats = makeStats(
       { "app/empty/page": { assets: [{ name: "missing.js" }] } },
@@ -231,6 +358,149 @@ describe("processStats", () => {
     assert.ok("/(app)/(main)/dashboard" in routes, "dashboard route should not be filtered");
   });
 
+  test("measures every algorithm in both compression mode", () => {
+    const stats = makeStats(
+      {
+        webpack: { assets: [{ name: "webpack.js" }] },
+        "app/page": { assets: [{ name: "home.js" }] },
+      },
+      [
+        { name: "webpack.js", size: 1000 },
+        { name: "home.js", size: 2000 },
+      ],
+    );
+    const sizes = { gzip: 100, brotli: 80 };
+    const routes = processStats(stats, (name, algorithm) => sizes[algorithm], {
+      compression: "both",
+    });
+    const { chunks, ...routeSizes } = routes["/"];
+    assert.deepEqual(routeSizes, { raw: 2000, gzip: 100, brotli: 80 });
+    assert.deepEqual(chunks, { "home.js": { raw: 2000, gzip: 100, brotli: 80 } });
+    assert.equal(routes["global"].raw, 1000);
+    assert.equal(routes["global"].brotli, 80);
+  });
+
+  test("keeps per-chunk sizes, merging internal chunks into global", () => {
+    const stats = makeStats(
+      {
+        webpack: { assets: [{ name: "webpack.js" }] },
+        main: { assets: [{ name: "main.js" }] },
+        "app/page": { assets: [{ name: "a.js" }, { name: "b.js" }] },
+      },
+      [
+        { name: "webpack.js", size: 700 },
+        { name: "main.js", size: 800 },
+        { name: "a.js", size: 1000 },
+        { name: "b.js", size: 500 },
+      ],
+    );
+    const routes = processStats(stats, () => 100);
+    assert.deepEqual(routes["/"].chunks, {
+      "a.js": { raw: 1000, gzip: 100 },
+      "b.js": { raw: 500, gzip: 100 },
+    });
+    assert.deepEqual(Object.keys(routes["global"].chunks), ["webpack.js", "main.js"]);
+  });
+
+  test("records no chunks without compressed sizes", () => {
+    const stats = makeStats(
+      {
+        main: { assets: [{ name: "main.js" }, { name: "main.css" }] },
+        "app/page": { assets: [{ name: "a.js" }] },
+      },
+      [
+        { name: "main.js", size: 800 },
+        { name: "main.css", size: 300 },
+        { name: "a.js", size: 1000 },
+      ],
+    );
+    const routes = processStats(stats, null, { css: true });
+    assert.deepEqual(routes["/"], { raw: 1000, gzip: 0, css: { raw: 0, gzip: 0 } });
+    assert.deepEqual(routes["global"], { raw: 800, gzip: 0, css: { raw: 300, gzip: 0 } });
+  });
+
+  test("attributes module sizes to packages per route", () => {
+    const stats = {
+      assets: [
+        { name: "webpack.js", size: 700 },
+        { name: "page.js", size: 5000 },
+      ],
+      chunks: [
+        { id: 1, files: ["webpack.js"] },
+        { id: 2, files: ["page.js"] },
+      ],
+      modules: [
+        { name: "./node_modules/next/dist/client/index.js", size: 600, chunks: [1] },
+        { name: "./node_modules/date-fns/format.js", size: 3000, chunks: [2] },
+        { name: "./node_modules/date-fns/parse.js", size: 1000, chunks: [2] },
+        { name: "./src/components/Calendar.tsx", size: 900, chunks: [2] },
+        { name: "./src/styles/calendar.css", size: 400, chunks: [2] },
+      ],
+      namedChunkGroups: {
+        webpack: { chunks: [1], assets: [{ name: "webpack.js" }] },
+        "app/calendar/page": { assets: [{ name: "page.js" }] },
+      },
+    };
+    const routes = processStats(stats, () => 100);
+    assert.deepEqual(routes["/calendar"].packages, {
+      "node_modules/date-fns": 4000,
+      "src/components": 900,
+    });
+    assert.deepEqual(routes["global"].packages, { "node_modules/next": 600 });
+    assert.deepEqual(routes["/calendar"].chunks["page.js"].packages, {
+      "node_modules/date-fns": 4000,
+      "src/components": 900,
+    });
+    assert.deepEqual(routes["global"].chunks["webpack.js"].packages, { "node_modules/next": 600 });
+  });
+
+  test("expands concatenated modules into their inner modules", () => {
+    const stats = {
+      assets: [{ name: "page.js", size: 5000 }],
+      modules: [
+        {
+          name: "./src/app/page.tsx + 2 modules",
+          size: 3000,
+          chunks: ["page"],
+          modules: [
+            { name: "./src/app/page.tsx", size: 1000 },
+            { name: "./node_modules/clsx/dist/clsx.mjs", size: 2000 },
+          ],
+        },
+      ],
+      namedChunkGroups: { "app/page": { chunks: ["page"], assets: ["page.js"] } },
+    };
+    assert.deepEqual(processStats(stats)["/"].packages, {
+      "src/app": 1000,
+      "node_modules/clsx": 2000,
+    });
+  });
+
+  test("tracks CSS assets when css is enabled", () => {
+    const stats = makeStats(
+      {
+        main: { assets: [{ name: "main.js" }, { name: "main.css" }] },
+        "app/about/page": { assets: [{ name: "page.css" }] },
+      },
+      [
+        { name: "main.js", size: 1000 },
+        { name: "main.css", size: 3000 },
+        { name: "page.css", size: 5000 },
+      ],
+    );
+    const routes = processStats(stats, () => 100, { css: true });
+    assert.deepEqual(routes["global"].css, { raw: 3000, gzip: 100 });
+    assert.deepEqual(routes["/about"].css, { raw: 5000, gzip: 100 });
+    assert.equal(routes["/about"].raw, 0, "CSS-only route keeps a JS size of 0");
+  });
+
+  test("does not attribute packages without modules", () => {
+    const stats = makeStats({ "app/page": { assets: [{ name: "a.js" }] } }, [
+      { name: "a.js", size: 1000 },
+    ]);
+    assert.ok(!("packages" in processStats(stats)["/"]));
+  });
+
   test("handles asset as plain string (not object)", () => {
     const stats = makeStats({ "app/page": { assets: ["home.js"] } }, [
       { name: "home.js", size: 1024 },
@@ -240,6 +510,43 @@ describe("processStats", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// getModulePackage
+// ---------------------------------------------------------------------------
+
+describe("getModulePackage", () => {
+  test("returns the npm package of node_modules files", () => {
+    assert.equal(getModulePackage("./node_modules/lodash/lodash.js"), "node_modules/lodash");
+  });
+
+  test("keeps the scope of scoped packages", () => {
+    assert.equal(
+      getModulePackage("./node_modules/@tanstack/react-query/build/index.js"),
+      "node_modules/@tanstack/react-query",
+    );
+  });
+
+  test("uses the innermost node_modules directory", () => {
+    assert.equal(
+      getModulePackage("./node_modules/next/node_modules/react/index.js"),
+      "node_modules/react",
+    );
+  });
+
+  test("returns the first two directories of source files", () => {
+    assert.equal(getModulePackage("./src/components/ui/Button.tsx"), "src/components");
+    assert.equal(getModulePackage("./app/page.tsx"), "app");
+    assert.equal(getModulePackage("./middleware.ts"), ".");
+  });
+
+  test("strips layer prefixes and concatenated module suffixes", () => {
+    assert.equal(
+      getModulePackage("(app-pages-browser)/./node_modules/date-fns/index.js + 12 modules"),
+      "node_modules/date-fns",
+    );
+  });
+});
+
 // ---------------------------------------------------------------------------
 // processNewStats (Next.js 16.2+ route-bundle-stats.json format)
 // ---------------------------------------------------------------------------
@@ -271,6 +578,21 @@ describe("processNewStats", () => {
     assert.ok("/about" in routes);
   });
 
+  test("skips entries without firstLoadChunkPaths when finding shared chunks", () => {
+    const stats = [
+      ...makeNewStats([
+        ["/", 1000, ["shared.js", "home.js"]],
+        ["/about", 2000, ["shared.js", "about.js"]],
+      ]),
+      { route: "/broken", firstLoadUncompressedJsBytes: 100 },
+      { route: "/odd", firstLoadChunkPaths: "shared.js" },
+    ];
+    const routes = processNewStats(stats, () => 100);
+    assert.equal(routes["global"].gzip, 100);
+    assert.equal(routes["/"].gzip, 100);
+    assert.deepEqual(Object.keys(routes).sort(), ["/", "/about", "global"]);
+  });
+
   test("computes shared chunks as global entry", () => {
     const stats = makeNewStats([
       ["/", 1000, ["shared.js", "framework.js", "home.js"]],
@@ -364,6 +686,211 @@ describe("processNewStats", () => {
     assert.ok(!("/" in routes), "route with 0 gzip should be filtered out");
   });
 
+  test("computes brotli sizes only in brotli compression mode", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js"]],
+      ["/about", 2000, ["shared.js", "about.js"]],
+    ]);
+    const calls = [];
+    const getAssetSize = (name, metric) => {
+      calls.push(metric);
+      return 50;
+    };
+    const routes = processNewStats(stats, getAssetSize, {}, { compression: "brotli" });
+    assert.deepEqual(routes["global"].chunks, { "shared.js": { raw: 50, brotli: 50 } });
+    assert.deepEqual(routes["/"].chunks, { "home.js": { raw: 50, brotli: 50 } });
+    assert.ok(!calls.includes("gzip"));
+  });
+
+  test("computes gzip and brotli sizes in both compression mode", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js"]],
+      ["/about", 2000, ["shared.js", "about.js"]],
+    ]);
+    const sizes = { raw: 300, gzip: 100, brotli: 80 };
+    const options = { compression: "both" };
+    const routes = processNewStats(stats, (name, metric) => sizes[metric], {}, options);
+    assert.equal(routes["global"].gzip, 100);
+    assert.equal(routes["global"].brotli, 80);
+    assert.deepEqual(routes["/about"].chunks, { "about.js": { raw: 300, gzip: 100, brotli: 80 } });
+  });
+
+  test("measures uncompressed sizes excluding shared chunks", () => {
+    const stats = makeNewStats([
+      ["/", 1500, ["shared.js", "home.js"]],
+      ["/about", 3000, ["shared.js", "about.js"]],
+    ]);
+    const rawSizes = { "shared.js": 1000, "home.js": 500, "about.js": 2000 };
+    const getAssetSize = (name, metric) => (metric === "raw" ? rawSizes[name] : 100);
+    const routes = processNewStats(stats, getAssetSize);
+    assert.equal(routes["global"].raw, 1000);
+    assert.equal(routes["/"].raw, 500);
+    assert.equal(routes["/about"].raw, 2000);
+  });
+
+  test("keeps per-chunk sizes for routes and global", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js", "home-2.js", "styles.css"]],
+      ["/about", 2000, ["shared.js", "about.js"]],
+    ]);
+    const gzipSizes = { "shared.js": 300, "home.js": 100, "home-2.js": 50, "about.js": 70 };
+    const routes = processNewStats(stats, (name, metric) =>
+      metric === "gzip" ? gzipSizes[name] : 1000,
+    );
+    assert.deepEqual(routes["global"].chunks, { "shared.js": { raw: 1000, gzip: 300 } });
+    assert.deepEqual(routes["/"].chunks, {
+      "home.js": { raw: 1000, gzip: 100 },
+      "home-2.js": { raw: 1000, gzip: 50 },
+    });
+  });
+
+  test("does not record chunks without getAssetSize", () => {
+    const stats = makeNewStats([["/", 1000, ["a.js"]]]);
+    assert.deepEqual(processNewStats(stats), { "/": { raw: 0, gzip: 0 } });
+  });
+
+  test("tracks shared and per-route CSS when css is enabled", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js", "global.css", "home.css"]],
+      ["/about", 2000, ["shared.js", "about.js", "global.css"]],
+    ]);
+    const cssSizes = { "global.css": 400, "home.css": 150 };
+    const getAssetSize = (name, metric) => (metric === "gzip" ? cssSizes[name] || 100 : 1000);
+    const routes = processNewStats(stats, getAssetSize, {}, { css: true });
+    assert.deepEqual(routes["global"].css, { raw: 1000, gzip: 400 });
+    assert.deepEqual(routes["/"].css, { raw: 1000, gzip: 150 });
+    assert.deepEqual(routes["/about"].css, { raw: 0, gzip: 0 });
+    assert.ok(!("home.css" in routes["/"].chunks), "CSS is not part of the JS chunks");
+  });
+
+  test("does not track CSS by default", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js", "home.css"]],
+      ["/about", 2000, ["shared.js", "about.js"]],
+    ]);
+    const routes = processNewStats(stats, () => 100);
+    assert.ok(!("css" in routes["/"]));
+  });
+
+  test("groups chunks shared by some routes into clusters when enabled", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js"]],
+      ["/dashboard", 1000, ["shared.js", "layout.js", "dashboard.js"]],
+      ["/settings", 1000, ["shared.js", "layout.js", "layout-2.js", "settings.js"]],
+      ["/billing", 1000, ["shared.js", "layout.js", "layout-2.js"]],
+    ]);
+    const routeGroupMap = {
+      "/dashboard": "/(dashboard)/dashboard",
+      "/settings": "/(dashboard)/settings",
+      "/billing": "/(dashboard)/billing",
+    };
+    const routes = processNewStats(stats, () => 100, routeGroupMap, { sharedClusters: true });
+    const clusterKeys = Object.keys(routes).filter((route) => route.startsWith("shared:"));
+    assert.equal(clusterKeys.length, 1, "chunks of only two routes are not a cluster");
+    const [clusterKey] = clusterKeys;
+    assert.match(clusterKey, /^shared:\/\(dashboard\)\/\* #[0-9a-f]{6}$/);
+    assert.deepEqual(routes[clusterKey], {
+      raw: 100,
+      gzip: 100,
+      chunks: { "layout.js": { raw: 100, gzip: 100 } },
+      routes: ["/(dashboard)/billing", "/(dashboard)/dashboard", "/(dashboard)/settings"],
+    });
+    assert.equal(routes["/(dashboard)/settings"].gzip, 200);
+    assert.deepEqual(routes["/(dashboard)/settings"].clusters, [clusterKey]);
+    // Routes whose chunks are all shared are kept, so their first load is known
+    assert.equal(routes["/(dashboard)/dashboard"].gzip, 100);
+    assert.ok(!("clusters" in routes["/"]));
+  });
+
+  test("keeps cluster keys when other routes are added", () => {
+    const entries = [
+      ["/", 1000, ["shared.js", "home.js"]],
+      ["/a/one", 1000, ["shared.js", "a.js"]],
+      ["/a/two", 1000, ["shared.js", "a.js"]],
+      ["/a/three", 1000, ["shared.js", "a.js", "a-2.js"]],
+      ["/a/four", 1000, ["shared.js", "a-2.js"]],
+      ["/a/five", 1000, ["shared.js", "a-2.js"]],
+    ];
+    const clusterKeys = (stats) =>
+      Object.keys(processNewStats(stats, () => 100, {}, { sharedClusters: true }))
+        .filter((route) => route.startsWith("shared:"))
+        .sort();
+    const before = clusterKeys(makeNewStats(entries));
+    assert.equal(before.length, 2);
+    assert.ok(before.every((key) => key.startsWith("shared:/a/* #")));
+
+    const after = clusterKeys(
+      makeNewStats([
+        ...entries,
+        ["/b/one", 1000, ["shared.js", "b.js"]],
+        ["/b/two", 1000, ["shared.js", "b.js"]],
+        ["/a/six", 1000, ["shared.js", "a-3.js"]],
+        ["/a/seven", 1000, ["shared.js", "a-3.js"]],
+        ["/a/eight", 1000, ["shared.js", "a-3.js"]],
+      ]),
+    );
+    assert.equal(after.length, 3);
+    assert.deepEqual(
+      after.filter((key) => before.includes(key)),
+      before,
+    );
+  });
+
+  test("attributes chunks to nested layout segments when enabled", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["root.js", "home.js"]],
+      ["/overview", 1000, ["root.js", "dash-layout.js", "overview.js"]],
+      ["/settings", 1000, ["root.js", "dash-layout.js", "settings-layout.js", "settings.js"]],
+      ["/settings/profile", 1000, ["root.js", "dash-layout.js", "settings-layout.js"]],
+    ]);
+    const routeGroupMap = {
+      "/overview": "/(dashboard)/overview",
+      "/settings": "/(dashboard)/settings",
+      "/settings/profile": "/(dashboard)/settings/profile",
+    };
+    const routes = processNewStats(stats, () => 100, routeGroupMap, { layouts: true });
+    assert.deepEqual(routes["global"].chunks, { "root.js": { raw: 100, gzip: 100 } });
+    assert.deepEqual(routes["layout:/(dashboard)"], {
+      raw: 100,
+      gzip: 100,
+      chunks: { "dash-layout.js": { raw: 100, gzip: 100 } },
+      routes: ["/(dashboard)/overview", "/(dashboard)/settings", "/(dashboard)/settings/profile"],
+    });
+    assert.deepEqual(Object.keys(routes["layout:/(dashboard)/settings"].chunks), [
+      "settings-layout.js",
+    ]);
+    assert.deepEqual(routes["/(dashboard)/settings"].layouts, [
+      "layout:/(dashboard)",
+      "layout:/(dashboard)/settings",
+    ]);
+    assert.deepEqual(Object.keys(routes["/(dashboard)/settings"].chunks), ["settings.js"]);
+    assert.deepEqual(routes["/(dashboard)/overview"].layouts, ["layout:/(dashboard)"]);
+    assert.equal(routes["/(dashboard)/settings/profile"].gzip, 0);
+    assert.ok(!("layouts" in routes["/"]));
+  });
+
+  test("counts partially shared chunks in each route by default", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js"]],
+      ["/a", 1000, ["shared.js", "layout.js"]],
+      ["/b", 1000, ["shared.js", "layout.js"]],
+    ]);
+    const routes = processNewStats(stats, () => 100);
+    assert.equal(routes["/a"].gzip, 100);
+    assert.ok(!Object.keys(routes).some((route) => route.startsWith("shared:")));
+  });
+
+  test("leaves out ignored routes, also from the shared chunks", () => {
+    const stats = makeNewStats([
+      ["/", 1000, ["shared.js", "home.js"]],
+      ["/about", 2000, ["shared.js", "about.js"]],
+      ["/admin/users", 3000, ["admin.js"]],
+    ]);
+    const routes = processNewStats(stats, () => 100, {}, { ignore: ["/admin/**"] });
+    assert.deepEqual(Object.keys(routes), ["global", "/", "/about"]);
+    assert.equal(routes["global"].gzip, 100);
+  });
+
   test("skips entries without route name", () => {
     const stats = [{ firstLoadUncompressedJsBytes: 1000, firstLoadChunkPaths: ["a.js"] }];
     const routes = processNewStats(stats, () => 100);
@@ -375,6 +902,123 @@ describe("processNewStats", () => {
 // parseStatsFile — gzip resolution when CWD is not the app directory
 // ---------------------------------------------------------------------------
 
+describe("processPagesRouter", () => {
+  const buildManifest = {
+    polyfillFiles: ["static/chunks/polyfills.js"],
+    pages: {
+      "/_app": ["static/chunks/framework.js", "static/chunks/pages/_app.js"],
+      "/_error": ["static/chunks/pages/_error.js"],
+      "/": ["static/chunks/pages/index.js"],
+      "/about": ["static/chunks/pages/about.js", "static/css/about.css"],
+    },
+  };
+  const sizes = {
+    "static/chunks/framework.js": 4000,
+    "static/chunks/pages/_app.js": 1000,
+    "static/chunks/pages/index.js": 300,
+    "static/chunks/pages/about.js": 700,
+    "static/css/about.css": 200,
+  };
+  const getAssetSize = (assetName, metric) =>
+    metric === "raw" ? sizes[assetName] * 3 : sizes[assetName];
+
+  test("splits the first load of pages into pages:global and per-page sizes", () => {
+    const routes = processPagesRouter(buildManifest, null, getAssetSize);
+    assert.deepEqual(Object.keys(routes), ["pages:global", "pages:/", "pages:/about"]);
+    assert.equal(routes["pages:global"].gzip, 5000);
+    assert.equal(routes["pages:global"].raw, 15000);
+    assert.equal(routes["pages:/"].gzip, 300);
+    assert.equal(routes["pages:/about"].gzip, 700);
+    assert.deepEqual(Object.keys(routes["pages:/about"].chunks), ["static/chunks/pages/about.js"]);
+  });
+
+  test("leaves out ignored pages", () => {
+    const routes = processPagesRouter(buildManifest, null, getAssetSize, { ignore: ["/about"] });
+    assert.deepEqual(Object.keys(routes), ["pages:global", "pages:/"]);
+  });
+
+  test("leaves out routes that are not in the pages manifest (e.g. API routes)", () => {
+    const routes = processPagesRouter(
+      buildManifest,
+      ["/_app", "/about", "/api/hello"],
+      getAssetSize,
+    );
+    assert.deepEqual(Object.keys(routes), ["pages:global", "pages:/about"]);
+  });
+
+  test("measures CSS when enabled", () => {
+    const routes = processPagesRouter(buildManifest, null, getAssetSize, { css: true });
+    assert.equal(routes["pages:/about"].css.gzip, 200);
+    assert.equal(routes["pages:/"].css.gzip, 0);
+  });
+
+  test("returns nothing for App Router-only builds", () => {
+    const manifest = { pages: { "/_app": ["static/chunks/framework.js"] } };
+    assert.deepEqual(processPagesRouter(manifest, null, getAssetSize), {});
+  });
+});
+
+describe("processMiddlewareManifest", () => {
+  const manifest = {
+    version: 3,
+    middleware: {
+      "/": {
+        files: ["server/edge-runtime-webpack.js", "server/middleware.js"],
+        name: "middleware",
+        page: "/",
+        wasm: [{ name: "wasm_abc", filePath: "server/edge-chunks/wasm_abc.wasm" }],
+      },
+    },
+    functions: {
+      "/api/edge": {
+        files: ["server/edge-runtime-webpack.js", "server/app/api/edge/route.js"],
+        name: "app/api/edge/route",
+        page: "/api/edge/route",
+        assets: [{ name: "font.ttf", filePath: "server/edge-chunks/asset_font.ttf" }],
+      },
+    },
+  };
+  const sizes = {
+    "server/edge-runtime-webpack.js": 100,
+    "server/middleware.js": 2000,
+    "server/edge-chunks/wasm_abc.wasm": 5000,
+    "server/app/api/edge/route.js": 300,
+    "server/edge-chunks/asset_font.ttf": 700,
+  };
+  const getAssetSize = (assetName, metric) =>
+    metric === "raw" ? sizes[assetName] * 3 : sizes[assetName];
+
+  test("measures the files, WebAssembly modules and assets of each bundle", () => {
+    const bundles = processMiddlewareManifest(manifest, getAssetSize);
+    assert.deepEqual(Object.keys(bundles), ["server:middleware", "server:/api/edge"]);
+    assert.equal(bundles["server:middleware"].type, "middleware");
+    assert.equal(bundles["server:middleware"].gzip, 7100);
+    assert.equal(bundles["server:middleware"].raw, 21300);
+    assert.equal(bundles["server:/api/edge"].type, "edge");
+    assert.equal(bundles["server:/api/edge"].gzip, 1100);
+    assert.deepEqual(Object.keys(bundles["server:/api/edge"].chunks), [
+      "server/edge-runtime-webpack.js",
+      "server/app/api/edge/route.js",
+      "server/edge-chunks/asset_font.ttf",
+    ]);
+  });
+
+  test("names middleware after its page when there are several", () => {
+    const bundles = processMiddlewareManifest(
+      { middleware: { "/": manifest.middleware["/"], "/admin": manifest.middleware["/"] } },
+      getAssetSize,
+    );
+    assert.deepEqual(Object.keys(bundles), ["server:middleware /", "server:middleware /admin"]);
+  });
+
+  test("returns nothing for an empty manifest", () => {
+    assert.deepEqual(
+      processMiddlewareManifest({ middleware: {}, functions: {} }, getAssetSize),
+      {},
+    );
+  });
+});
+
 describe("parseStatsFile", () => {
   const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `parse-stats-file-${process.pid}`);
   const originalCwd = process.cwd();
@@ -415,10 +1059,79 @@ describe("parseStatsFile", () => {
     const routes = parseStatsFile(statsPath, true);
     assert.ok(routes["global"], "expected global from shared chunks");
     assert.ok(routes["global"].gzip > 0, "global gzip should be computed from disk");
+    assert.equal(routes["global"].raw, "// shared".length, "raw size should be read from disk");
     assert.ok(routes["/"], "expected / route");
     assert.ok(routes["/"].gzip > 0, "route gzip should be computed from disk");
     assert.ok(routes["/about"], "expected /about route");
     assert.ok(routes["/about"].gzip > 0, "route gzip should be computed from disk");
+    assert.match(routes["global"].chunks[".next/static/chunks/shared.js"].hash, /^[0-9a-f]{16}$/);
+    assert.notEqual(
+      routes["/"].chunks[".next/static/chunks/home.js"].hash,
+      routes["/about"].chunks[".next/static/chunks/about.js"].hash,
+    );
+  });
+
+  test("measures the same sizes with worker threads", (t) => {
+    const dotNext = path.join(tmpRoot, "parallel-app", ".next");
+    const chunksDir = path.join(dotNext, "static", "chunks");
+    fs.mkdirSync(chunksDir, { recursive: true });
+    const stats = ["home", "about", "blog", "docs"].map((name, i) => {
+      fs.writeFileSync(path.join(chunksDir, `${name}.js`), `// ${name}`.repeat(i + 1));
+      return {
+        route: `/${name}`,
+        firstLoadUncompressedJsBytes: 100,
+        firstLoadChunkPaths: [".next/static/chunks/shared.js", `.next/static/chunks/${name}.js`],
+      };
+    });
+    fs.writeFileSync(path.join(chunksDir, "shared.js"), "// shared".repeat(100));
+    fs.writeFileSync(path.join(chunksDir, "lazy.js"), "// not loaded by any route");
+    const statsPath = path.join(dotNext, "diagnostics", "route-bundle-stats.json");
+    fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+    fs.writeFileSync(statsPath, JSON.stringify(stats));
+
+    // Separate caches, so both runs measure the files.
+    const options = { compression: "both" };
+    const workerCache = createSizeCache();
+    const prefetch = t.mock.method(workerCache, "prefetch");
+    assert.deepEqual(
+      parseStatsFile(statsPath, true, { ...options, workers: 2, sizeCache: workerCache }),
+      parseStatsFile(statsPath, true, { ...options, workers: 0, sizeCache: createSizeCache() }),
+    );
+    assert.equal(prefetch.mock.callCount(), 1);
+    assert.equal(
+      prefetch.mock.calls[0].arguments[0].length,
+      5,
+      "only referenced chunks are prefetched",
+    );
+  });
+
+  test("reads each chunk once for its sizes and hash", (t) => {
+    const dotNext = path.join(tmpRoot, "hashed-app", ".next");
+    const chunksDir = path.join(dotNext, "static", "chunks");
+    fs.mkdirSync(chunksDir, { recursive: true });
+    fs.writeFileSync(path.join(chunksDir, "shared.js"), "// shared");
+    const stats = ["home", "about"].map((name) => {
+      fs.writeFileSync(path.join(chunksDir, `${name}.js`), `// ${name}`);
+      return {
+        route: `/${name}`,
+        firstLoadUncompressedJsBytes: 100,
+        firstLoadChunkPaths: [".next/static/chunks/shared.js", `.next/static/chunks/${name}.js`],
+      };
+    });
+    const statsPath = path.join(dotNext, "diagnostics", "route-bundle-stats.json");
+    fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+    fs.writeFileSync(statsPath, JSON.stringify(stats));
+
+    const readFileSync = t.mock.method(fs, "readFileSync");
+    const routes = parseStatsFile(statsPath, true, {
+      compression: "both",
+      sizeCache: createSizeCache(),
+    });
+    const chunkReads = readFileSync.mock.calls.filter((call) =>
+      String(call.arguments[0]).startsWith(chunksDir),
+    );
+    assert.equal(chunkReads.length, 3);
+    assert.match(routes["global"].chunks[".next/static/chunks/shared.js"].hash, /^[0-9a-f]{16}$/);
   });
 
   test("resolves chunk paths from stats file location (legacy format, bare paths)", () => {
@@ -446,16 +1159,152 @@ describe("parseStatsFile", () => {
     assert.ok(routes["/"].gzip > 0, "gzip should be computed from disk using dotNextDir");
   });
 
-  test("works when CWD is the app directory (single-app / default-path backwards compat)", () => {
-    const appRoot = path.join(tmpRoot, "single-app");
-    const dotNext = path.join(appRoot, ".next");
+  test("reads Pages Router routes from the build and pages manifests", () => {
+    const dotNext = path.join(tmpRoot, "mixed-app", ".next");
     const chunksDir = path.join(dotNext, "static", "chunks");
-    fs.mkdirSync(chunksDir, { recursive: true });
-    fs.writeFileSync(path.join(chunksDir, "shared.js"), "// shared");
-    fs.writeFileSync(path.join(chunksDir, "home.js"), "// home");
-
+    fs.mkdirSync(path.join(chunksDir, "pages"), { recursive: true });
+    fs.mkdirSync(path.join(dotNext, "server"), { recursive: true });
+    fs.mkdirSync(path.join(dotNext, "diagnostics"), { recursive: true });
+    const files = [
+      "shared.js",
+      "home.js",
+      "about.js",
+      "pages/_app.js",
+      "pages/blog.js",
+      "pages/faq.js",
+    ];
+    for (const file of files) {
+      fs.writeFileSync(path.join(chunksDir, file), `// ${file}`);
+    }
+    fs.writeFileSync(
+      path.join(dotNext, "build-manifest.json"),
+      JSON.stringify({
+        pages: {
+          "/_app": ["static/chunks/pages/_app.js"],
+          "/blog": ["static/chunks/pages/blog.js"],
+          "/faq": ["static/chunks/pages/faq.js"],
+        },
+      }),
+    );
+    fs.writeFileSync(
+      path.join(dotNext, "server", "pages-manifest.json"),
+      JSON.stringify({
+        "/_app": "pages/_app.js",
+        "/api/hello": "pages/api/hello.js",
+        "/blog": "pages/blog.js",
+        "/faq": "pages/faq.js",
+      }),
+    );
     const statsPath = path.join(dotNext, "diagnostics", "route-bundle-stats.json");
-    fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+    fs.writeFileSync(
+      statsPath,
+      JSON.stringify([
+        {
+          route: "/",
+          firstLoadUncompressedJsBytes: 100,
+          firstLoadChunkPaths: [".next/static/chunks/shared.js", ".next/static/chunks/home.js"],
+        },
+        {
+          route: "/about",
+          firstLoadUncompressedJsBytes: 100,
+          firstLoadChunkPaths: [".next/static/chunks/shared.js", ".next/static/chunks/about.js"],
+        },
+        {
+          route: "/blog",
+          firstLoadUncompressedJsBytes: 100,
+          firstLoadChunkPaths: [".next/static/chunks/pages/blog.js"],
+        },
+      ]),
+    );
+
+    const routes = parseStatsFile(statsPath, true);
+    assert.deepEqual(Object.keys(routes).sort(), [
+      "/",
+      "/about",
+      "global",
+      "pages:/blog",
+      "pages:/faq",
+      "pages:global",
+    ]);
+    assert.equal(routes["global"].raw, "// shared.js".length);
+    assert.equal(routes["pages:global"].raw, "// pages/_app.js".length);
+    assert.equal(routes["pages:/blog"].raw, "// pages/blog.js".length);
+  });
+
+  test("measures the chunks no route loads up front as app-wide lazy chunks", () => {
+    const dotNext = path.join(tmpRoot, "lazy-app", ".next");
+    const chunksDir = path.join(dotNext, "static", "chunks");
+    fs.mkdirSync(path.join(chunksDir, "lazy"), { recursive: true });
+    fs.mkdirSync(path.join(dotNext, "diagnostics"), { recursive: true });
+    fs.writeFileSync(path.join(chunksDir, "home.js"), "// home");
+    fs.writeFileSync(path.join(chunksDir, "polyfills.js"), "// polyfills");
+    fs.writeFileSync(path.join(chunksDir, "lazy", "editor.js"), "// editor");
+    fs.writeFileSync(path.join(chunksDir, "lazy", "styles.css"), "/* css */");
+    fs.writeFileSync(
+      path.join(dotNext, "build-manifest.json"),
+      JSON.stringify({ polyfillFiles: ["static/chunks/polyfills.js"], pages: {} }),
+    );
+    const statsPath = path.join(dotNext, "diagnostics", "route-bundle-stats.json");
+    fs.writeFileSync(
+      statsPath,
+      JSON.stringify([
+        {
+          route: "/",
+          firstLoadUncompressedJsBytes: 100,
+          firstLoadChunkPaths: [".next/static/chunks/home.js"],
+        },
+      ]),
+    );
+
+    const routes = parseStatsFile(statsPath, true, { async: true });
+    assert.deepEqual(Object.keys(routes["global"].async.chunks), ["static/chunks/lazy/editor.js"]);
+    assert.equal(routes["global"].async.raw, "// editor".length);
+    assert.ok(!("async" in parseStatsFile(statsPath, true)["global"]));
+  });
+
+  test("measures middleware and edge function bundles when enabled", () => {
+    const dotNext = path.join(tmpRoot, "edge-app", ".next");
+    fs.mkdirSync(path.join(dotNext, "static", "chunks"), { recursive: true });
+    fs.mkdirSync(path.join(dotNext, "server"), { recursive: true });
+    fs.mkdirSync(path.join(dotNext, "diagnostics"), { recursive: true });
+    fs.writeFileSync(path.join(dotNext, "static", "chunks", "home.js"), "// home");
+    fs.writeFileSync(path.join(dotNext, "server", "middleware.js"), "// middleware");
+    fs.writeFileSync(
+      path.join(dotNext, "server", "middleware-manifest.json"),
+      JSON.stringify({
+        version: 3,
+        middleware: { "/": { files: ["server/middleware.js"], page: "/" } },
+        functions: {},
+      }),
+    );
+    const statsPath = path.join(dotNext, "diagnostics", "route-bundle-stats.json");
+    fs.writeFileSync(
+      statsPath,
+      JSON.stringify([
+        {
+          route: "/",
+          firstLoadUncompressedJsBytes: 100,
+          firstLoadChunkPaths: [".next/static/chunks/home.js"],
+        },
+      ]),
+    );
+
+    const routes = parseStatsFile(statsPath, true, { serverBundles: true });
+    assert.equal(routes["server:middleware"].raw, "// middleware".length);
+    assert.equal(routes["server:middleware"].type, "middleware");
+    assert.ok(!("server:middleware" in parseStatsFile(statsPath, true)));
+  });
+
+  test("works when CWD is the app directory (single-app / default-path backwards compat)", () => {
+    const appRoot = path.join(tmpRoot, "single-app");
+    const dotNext = path.join(appRoot, ".next");
+    const chunksDir = path.join(dotNext, "static", "chunks");
+    fs.mkdirSync(chunksDir, { recursive: true });
+    fs.writeFileSync(path.join(chunksDir, "shared.js"), "// shared");
+    fs.writeFileSync(path.join(chunksDir, "home.js"), "// home");
+
+    const statsPath = path.join(dotNext, "diagnostics", "route-bundle-stats.json");
+    fs.mkdirSync(path.dirname(statsPath), { recursive: true });
     fs.writeFileSync(
       statsPath,
       JSON.stringify([
@@ -490,8 +1339,8 @@ describe("parseStatsFile", () => {
     );
 
     const logs = [];
-    const originalLog = console.log;
-    console.log = (msg) => logs.push(msg);
+    const originalWarn = console.warn;
+    console.warn = (msg) => logs.push(msg);
     try {
       const routes = parseStatsFile(statsPath, true);
       assert.ok(
@@ -503,7 +1352,7 @@ describe("parseStatsFile", () => {
         "should not throw",
       );
     } finally {
-      console.log = originalLog;
+      console.warn = originalWarn;
     }
   });
 
@@ -527,6 +1376,31 @@ describe("parseStatsFile", () => {
     assert.equal(routes["/"].gzip, 0);
   });
 
+  test("computes brotli sizes from disk in both compression mode", () => {
+    const appRoot = path.join(tmpRoot, "brotli-app");
+    const dotNext = path.join(appRoot, ".next");
+    const chunksDir = path.join(dotNext, "static", "chunks");
+    fs.mkdirSync(chunksDir, { recursive: true });
+    fs.writeFileSync(path.join(chunksDir, "page.js"), "console.log('page');".repeat(50));
+
+    const statsPath = path.join(dotNext, "server", "webpack-stats.json");
+    fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+    fs.writeFileSync(
+      statsPath,
+      JSON.stringify({
+        assets: [{ name: "static/chunks/page.js", size: 1000 }],
+        namedChunkGroups: {
+          "app/page": { assets: [{ name: "static/chunks/page.js" }] },
+        },
+      }),
+    );
+
+    const routes = parseStatsFile(statsPath, true, { compression: "both" });
+    assert.equal(routes["/"].raw, 1000, "raw size should come from the stats assets");
+    assert.ok(routes["/"].gzip > 0, "gzip should be computed from disk");
+    assert.ok(routes["/"].brotli > 0, "brotli should be computed from disk");
+  });
+
   test("resolves app-paths-manifest.json via dotNextDir for route group mapping", () => {
     const appRoot = path.join(tmpRoot, "manifest-app");
     const dotNext = path.join(appRoot, ".next");
@@ -893,4 +1767,919 @@ describe("generateReport full table", () => {
         "| `/` | `512 B` | `512 B` | 🆕 New |\n",
     );
   });
+
+  test("brotli-only routes use brotli as the primary metric", () => {
+    assert.equal(
+      generateReport({ global: { brotli: 4096 }, "/": { brotli: 512 } }, {}),
+      REPORT_HEADER +
+        "| Route | Size (brotli) | First load | Diff (vs baseline) |\n" +
+        "|---|---|---|---|\n" +
+        "| `global` | `4 KB` | — | 🆕 New |\n" +
+        "| `/` | `512 B` | `4.5 KB` | 🆕 New |\n",
+    );
+  });
+
+  test("both compression modes add brotli size and diff columns", () => {
+    const current = {
+      global: { gzip: 5000, brotli: 4000 },
+      "/": { gzip: 1536, brotli: 1024 },
+      "/new": { gzip: 256, brotli: 200 },
+    };
+    const baseline = {
+      global: { gzip: 5000, brotli: 4000 },
+      "/": { gzip: 1024, brotli: 1024 },
+      "/gone": { gzip: 500, brotli: 400 },
+    };
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) | Size (brotli) | Diff (brotli) |\n" +
+        "|---|---|---|---|---|---|\n" +
+        "| `/` | `1.5 KB` | `6.38 KB` | 🔴 `+512 B` | `1 KB` | ➖ No change |\n" +
+        "| `/gone` | — | — | 🗑️ Removed | — | — |\n" +
+        "| `/new` | `256 B` | `5.13 KB` | 🆕 New | `200 B` | 🆕 New |\n",
+    );
+  });
+
+  test("brotli diff is shown as — against a gzip-only baseline", () => {
+    assert.equal(
+      generateReport({ "/": { gzip: 1024, brotli: 900 } }, { "/": { gzip: 1024 } }),
+      REPORT_HEADER + "This PR introduced no changes to the JavaScript bundle! 🙌\n",
+    );
+    assert.equal(
+      generateReport({ "/": { gzip: 2048, brotli: 900 } }, { "/": { gzip: 1024 } }),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) | Size (brotli) | Diff (brotli) |\n" +
+        "|---|---|---|---|---|---|\n" +
+        "| `/` | `2 KB` | `2 KB` | 🔴 `+1 KB` | `900 B` | — |\n",
+    );
+  });
+
+  test("uncompressed sizes add size and diff columns", () => {
+    const current = {
+      global: { raw: 20000, gzip: 5000 },
+      "/": { raw: 4096, gzip: 1536 },
+      "/new": { raw: 1024, gzip: 256 },
+    };
+    const baseline = {
+      global: { raw: 20000, gzip: 5000 },
+      "/": { raw: 3072, gzip: 1024 },
+      "/gone": { raw: 2048, gzip: 500 },
+    };
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) | Size (uncompressed) | Diff (uncompressed) |\n" +
+        "|---|---|---|---|---|---|\n" +
+        "| `/` | `1.5 KB` | `6.38 KB` | 🔴 `+512 B` | `4 KB` | 🔴 `+1 KB` |\n" +
+        "| `/gone` | — | — | 🗑️ Removed | — | — |\n" +
+        "| `/new` | `256 B` | `5.13 KB` | 🆕 New | `1 KB` | 🆕 New |\n",
+    );
+  });
+
+  test("uncompressed-only changes are reported", () => {
+    assert.equal(
+      generateReport({ "/": { raw: 4096, gzip: 1024 } }, { "/": { raw: 3072, gzip: 1024 } }),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) | Size (uncompressed) | Diff (uncompressed) |\n" +
+        "|---|---|---|---|---|---|\n" +
+        "| `/` | `1 KB` | `1 KB` | ➖ No change | `4 KB` | 🔴 `+1 KB` |\n",
+    );
+  });
+
+  test("adds a chunk breakdown for changed routes with known chunks", () => {
+    const current = {
+      global: { gzip: 5000, chunks: { "shared.js": { gzip: 5000 } } },
+      "/dashboard": {
+        gzip: 3584,
+        chunks: {
+          ".next/static/chunks/dashboard.js": { gzip: 1536 },
+          ".next/static/chunks/chart.js": { gzip: 2048 },
+        },
+      },
+      "/": { gzip: 1024, chunks: { "home.js": { gzip: 1024 } } },
+    };
+    const baseline = {
+      global: { gzip: 5000, chunks: { "shared.js": { gzip: 5000 } } },
+      "/dashboard": {
+        gzip: 1536,
+        chunks: {
+          ".next/static/chunks/dashboard.js": { gzip: 1024 },
+          ".next/static/chunks/old.js": { gzip: 512 },
+        },
+      },
+      "/": { gzip: 1024, chunks: { "home.js": { gzip: 1024 } } },
+    };
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER +
+        "| Total JS (gzipped) | Diff (vs baseline) | Invalidated |\n" +
+        "|---|---|---|\n" +
+        "| `9.38 KB` in 4 chunks | 🔴 `+2 KB` | `3.5 KB` (37%) in 2 chunks |\n" +
+        "\n" +
+        "Each chunk is counted once. Invalidated chunks are new or changed since the baseline, so returning visitors download them again.\n" +
+        "\n" +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) |\n" +
+        "|---|---|---|---|\n" +
+        "| `/dashboard` | `3.5 KB` | `8.38 KB` | 🔴 `+2 KB` |\n" +
+        "\n" +
+        "<details>\n" +
+        "<summary><code>/dashboard</code> chunks: 1 added, 1 removed, 1 resized</summary>\n" +
+        "\n" +
+        "| Chunk | Size (gzipped) | Diff (vs baseline) |\n" +
+        "|---|---|---|\n" +
+        "| `static/chunks/chart.js` | `2 KB` | 🆕 Added `+2 KB` |\n" +
+        "| `static/chunks/dashboard.js` | `1.5 KB` | 🔴 `+512 B` |\n" +
+        "| `static/chunks/old.js` | — | 🗑️ Removed `-512 B` |\n" +
+        "\n" +
+        "</details>\n",
+    );
+  });
+
+  test("omits the chunk breakdown when the baseline has no chunks", () => {
+    const current = { "/": { gzip: 2048, chunks: { "home.js": { gzip: 2048 } } } };
+    const baseline = { "/": { gzip: 1024 } };
+    assert.ok(!generateReport(current, baseline).includes("<details>"));
+  });
+
+  test("lists the packages that changed the most", () => {
+    const current = {
+      "/calendar": {
+        raw: 30000,
+        gzip: 10240,
+        packages: { "node_modules/date-fns": 23552, "node_modules/lodash": 1024, src: 5424 },
+      },
+    };
+    const baseline = {
+      "/calendar": {
+        raw: 8000,
+        gzip: 2048,
+        packages: { "node_modules/lodash": 2048, src: 5424, "node_modules/moment": 528 },
+      },
+    };
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) | Size (uncompressed) | Diff (uncompressed) |\n" +
+        "|---|---|---|---|---|---|\n" +
+        "| `/calendar` | `10 KB` | `10 KB` | 🔴 `+8 KB` | `29.3 KB` | 🔴 `+21.48 KB` |\n" +
+        "\n" +
+        "### 📚 Package changes (uncompressed)\n" +
+        "\n" +
+        "- `/calendar`: +23 KB from `date-fns`, -1 KB from `lodash`, -528 B from `moment`\n",
+    );
+  });
+
+  test("adds CSS size and diff columns when routes have CSS", () => {
+    const current = {
+      global: { gzip: 5000, css: { gzip: 2048 } },
+      "/": { gzip: 1024, css: { gzip: 1536 } },
+      "/new": { gzip: 256, css: { gzip: 0 } },
+      "/old-baseline": { gzip: 512, css: { gzip: 100 } },
+    };
+    const baseline = {
+      global: { gzip: 5000, css: { gzip: 2048 } },
+      "/": { gzip: 1024, css: { gzip: 1024 } },
+      "/gone": { gzip: 500, css: { gzip: 300 } },
+      "/old-baseline": { gzip: 256 },
+    };
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) | CSS (gzipped) | CSS diff |\n" +
+        "|---|---|---|---|---|---|\n" +
+        "| `/` | `1 KB` | `5.88 KB` | ➖ No change | `1.5 KB` | 🔴 `+512 B` |\n" +
+        "| `/gone` | — | — | 🗑️ Removed | — | — |\n" +
+        "| `/new` | `256 B` | `5.13 KB` | 🆕 New | `0 B` | 🆕 New |\n" +
+        "| `/old-baseline` | `512 B` | `5.38 KB` | 🔴 `+256 B` | `100 B` | — |\n",
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateJsonReport
+// ---------------------------------------------------------------------------
+
+describe("generateJsonReport", () => {
+  const current = {
+    global: { raw: 9000, gzip: 5000 },
+    "/": { raw: 3000, gzip: 1000 },
+    "/about": { raw: 4000, gzip: 1500 },
+    "/new": { raw: 900, gzip: 300 },
+  };
+  const baseline = {
+    global: { raw: 9000, gzip: 5000 },
+    "/": { raw: 3000, gzip: 1010 },
+    "/about": { raw: 3000, gzip: 1000 },
+    "/gone": { raw: 800, gzip: 200 },
+  };
+
+  test("reports status, delta and percent per route", () => {
+    const report = generateJsonReport(current, baseline, { threshold: 20 });
+    assert.equal(report.metric, "gzip");
+    assert.deepEqual(
+      report.routes.map(({ route, status, current, baseline, delta, percent }) => ({
+        route,
+        status,
+        current,
+        baseline,
+        delta,
+        percent,
+      })),
+      [
+        {
+          route: "global",
+          status: "unchanged",
+          current: 5000,
+          baseline: 5000,
+          delta: 0,
+          percent: 0,
+        },
+        {
+          route: "/",
+          status: "unchanged",
+          current: 1000,
+          baseline: 1010,
+          delta: -10,
+          percent: -0.99,
+        },
+        {
+          route: "/about",
+          status: "changed",
+          current: 1500,
+          baseline: 1000,
+          delta: 500,
+          percent: 50,
+        },
+        {
+          route: "/gone",
+          status: "removed",
+          current: null,
+          baseline: 200,
+          delta: -200,
+          percent: null,
+        },
+        { route: "/new", status: "new", current: 300, baseline: null, delta: 300, percent: null },
+      ],
+    );
+  });
+
+  test("sums the deltas and detects regressions", () => {
+    const report = generateJsonReport(current, baseline);
+    assert.equal(report.totalDeltaBytes, 590);
+    assert.equal(report.hasRegression, true);
+    assert.equal(generateJsonReport(current, current).hasRegression, false);
+  });
+
+  test("leaves shared entries and unmeasured baselines out of the total", () => {
+    const withShared = {
+      ...current,
+      "layout:/app": { raw: 5000, gzip: 2000 },
+      "shared:app (3 routes) #abc123": { raw: 4000, gzip: 1800 },
+      "server:middleware": { raw: 9000, gzip: 3000 },
+    };
+    const unmeasured = Object.fromEntries(
+      Object.keys(withShared).map((route) => [route, { raw: 0, gzip: 0 }]),
+    );
+    const report = generateJsonReport(withShared, { ...baseline, "/new": { raw: 0, gzip: 0 } });
+    assert.equal(report.totalDeltaBytes, 290);
+    assert.equal(report.routes.find((r) => r.route === "server:middleware").delta, 3000);
+
+    const fallback = generateJsonReport(withShared, unmeasured);
+    assert.equal(fallback.totalDeltaBytes, 0);
+    assert.equal(fallback.hasRegression, false);
+  });
+
+  test("attaches budget violations to their routes", () => {
+    const violations = [{ route: "/about", budget: "maxIncreaseBytes", actual: 500, limit: 100 }];
+    const report = generateJsonReport(current, baseline, { violations });
+    assert.equal(report.budgetExceeded, true);
+    const about = report.routes.find((r) => r.route === "/about");
+    assert.deepEqual(about.budget, { status: "fail", violations });
+    assert.equal(report.routes.find((r) => r.route === "/").budget.status, "pass");
+  });
+
+  test("returns no routes for empty stats", () => {
+    assert.deepEqual(generateJsonReport({}, {}), {
+      metric: "gzip",
+      threshold: 0,
+      totalDeltaBytes: 0,
+      hasRegression: false,
+      budgetExceeded: false,
+      app: null,
+      routes: [],
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Size history
+// ---------------------------------------------------------------------------
+
+describe("formatSparkline", () => {
+  test("scales values between their minimum and maximum", () => {
+    assert.equal(formatSparkline([0, 1, 2, 3, 4, 5, 6, 7]), "▁▂▃▄▅▆▇█");
+    assert.equal(formatSparkline([100, 300, 200]), "▁█▅");
+  });
+
+  test("draws flat values at the bottom", () => {
+    assert.equal(formatSparkline([5, 5, 5]), "▁▁▁");
+  });
+});
+
+describe("appendHistory", () => {
+  test("appends an entry with the top-level size metrics of each route", () => {
+    const routes = {
+      global: { raw: 9000, gzip: 3000, chunks: { "a.js": { raw: 9000, gzip: 3000 } } },
+      "/": { raw: 2000, gzip: 800, css: { gzip: 100 }, packages: { lodash: 50 } },
+    };
+    const history = appendHistory([], routes, { sha: "abc", timestamp: "2026-01-01T00:00:00Z" });
+    assert.deepEqual(history, [
+      {
+        sha: "abc",
+        timestamp: "2026-01-01T00:00:00Z",
+        routes: { global: { raw: 9000, gzip: 3000 }, "/": { raw: 2000, gzip: 800 } },
+      },
+    ]);
+  });
+
+  test("drops the oldest entries beyond the limit", () => {
+    let history = [];
+    for (const sha of ["a", "b", "c"]) {
+      history = appendHistory(history, {}, { sha, timestamp: "", limit: 2 });
+    }
+    assert.deepEqual(
+      history.map((entry) => entry.sha),
+      ["b", "c"],
+    );
+  });
+});
+
+describe("generateReport trend", () => {
+  const history = [
+    { sha: "a", timestamp: "", routes: { global: { gzip: 4096 }, "/": { gzip: 1024 } } },
+    { sha: "b", timestamp: "", routes: { global: { gzip: 5120 }, "/": { gzip: 1024 } } },
+  ];
+
+  test("shows a sparkline for global and the changed routes", () => {
+    const current = { global: { gzip: 6144 }, "/": { gzip: 2048 }, "/about": { gzip: 512 } };
+    const baseline = { global: { gzip: 5120 }, "/": { gzip: 1024 }, "/about": { gzip: 512 } };
+    const report = generateReport(current, baseline, 0, 0, "", { history });
+    assert.ok(
+      report.includes(
+        "### 📈 Size trend (last 2 pushes and this PR, gzipped)\n\n" +
+          "| Route | Trend | Oldest → this PR | Change |\n|---|---|---|---|\n" +
+          "| `global` | ▁▅█ | `4 KB` → `6 KB` | 🔴 `+2 KB` |\n" +
+          "| `/` | ▁▁█ | `1 KB` → `2 KB` | 🔴 `+1 KB` |\n",
+      ),
+    );
+    assert.ok(!report.includes("| `/about` | ▁"));
+  });
+
+  test("shows the global trend when nothing changed", () => {
+    const routes = { global: { gzip: 5120 }, "/": { gzip: 1024 } };
+    const report = generateReport(routes, routes, 0, 0, "", { history });
+    assert.ok(report.includes("no changes to the JavaScript bundle! 🙌\n"));
+    assert.ok(report.includes("| `global` | ▁██ | `4 KB` → `5 KB` | 🔴 `+1 KB` |"));
+  });
+
+  test("leaves the trend out without history", () => {
+    const current = { global: { gzip: 6144 } };
+    const report = generateReport(current, { global: { gzip: 5120 } });
+    assert.ok(!report.includes("Size trend"));
+  });
+});
+
+describe("generateReport with the Pages Router", () => {
+  test("reports each router in its own section", () => {
+    const current = {
+      global: { gzip: 4096 },
+      "/": { gzip: 2048 },
+      "pages:global": { gzip: 3072 },
+      "pages:/blog": { gzip: 2048 },
+    };
+    const baseline = {
+      global: { gzip: 4096 },
+      "/": { gzip: 1024 },
+      "pages:global": { gzip: 3072 },
+      "pages:/blog": { gzip: 1024 },
+    };
+    const header =
+      "| Route | Size (gzipped) | First load | Diff (vs baseline) |\n|---|---|---|---|\n";
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER.replace("App Router Sizes", "Route Sizes") +
+        "### App Router\n\n" +
+        header +
+        "| `/` | `2 KB` | `6 KB` | 🔴 `+1 KB` |\n" +
+        "\n### Pages Router\n\n" +
+        header +
+        "| `/blog` | `2 KB` | `5 KB` | 🔴 `+1 KB` |\n",
+    );
+  });
+
+  test("titles Pages Router-only reports without sections", () => {
+    const report = generateReport({ "pages:/": { gzip: 1024 } }, {});
+    assert.ok(report.startsWith("## 📦 Next.js Pages Router Sizes (Turbopack)"));
+    assert.ok(!report.includes("### Pages Router"));
+    assert.ok(report.includes("| `/` | `1 KB` | `1 KB` | 🆕 New |"));
+  });
+});
+
+describe("generateReport with shared chunk clusters", () => {
+  test("shows clusters as rows and counts them in the first load of their routes", () => {
+    const current = {
+      global: { gzip: 4096 },
+      "shared:/(dashboard)/*": { gzip: 3072, routes: ["/(dashboard)/a", "/(dashboard)/b"] },
+      "/(dashboard)/a": { gzip: 1024, clusters: ["shared:/(dashboard)/*"] },
+      "/(dashboard)/b": { gzip: 1024, clusters: ["shared:/(dashboard)/*"] },
+    };
+    const baseline = {
+      ...current,
+      "shared:/(dashboard)/*": { gzip: 2048, routes: ["/(dashboard)/a", "/(dashboard)/b"] },
+      "/(dashboard)/b": { gzip: 512, clusters: ["shared:/(dashboard)/*"] },
+    };
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) |\n|---|---|---|---|\n" +
+        "| `shared by /(dashboard)/*` (2 routes) | `3 KB` | — | 🔴 `+1 KB` |\n" +
+        "| `/(dashboard)/b` | `1 KB` | `8 KB` | 🔴 `+512 B` |\n",
+    );
+  });
+});
+
+describe("generateReport with layout segments", () => {
+  const current = {
+    global: { gzip: 4096 },
+    "layout:/(shop)": { gzip: 2048, routes: ["/(shop)/cart", "/(shop)/checkout"] },
+    "/(shop)/cart": { gzip: 1024, layouts: ["layout:/(shop)"] },
+    "/(shop)/checkout": { gzip: 1024, layouts: ["layout:/(shop)"] },
+  };
+
+  test("shows a layout change once at the layout level", () => {
+    const baseline = {
+      ...current,
+      "layout:/(shop)": { gzip: 1024, routes: ["/(shop)/cart", "/(shop)/checkout"] },
+    };
+    assert.equal(
+      generateReport(current, baseline),
+      REPORT_HEADER +
+        "| Route | Size (gzipped) | First load | Diff (vs baseline) |\n|---|---|---|---|\n" +
+        "| `/(shop) layout` (2 routes) | `2 KB` | — | 🔴 `+1 KB` |\n",
+    );
+  });
+
+  test("splits the first load of changed routes into segments", () => {
+    const baseline = { ...current, "/(shop)/cart": { gzip: 512, layouts: ["layout:/(shop)"] } };
+    const report = generateReport(current, baseline);
+    assert.ok(
+      report.includes(
+        "<details>\n<summary>First load by segment</summary>\n\n" +
+          "- `/(shop)/cart`: root layout `4 KB` + `/(shop) layout` `2 KB` + page `1 KB` = `7 KB`\n\n" +
+          "</details>\n",
+      ),
+    );
+  });
+});
+
+describe("generateReport lazy-loaded chunks", () => {
+  const routes = (lazyEditor, lazyApp) => ({
+    global: { gzip: 4096, async: { gzip: lazyApp } },
+    "/editor": {
+      gzip: 1024,
+      async: { gzip: lazyEditor, chunks: { "static/chunks/monaco.js": { gzip: lazyEditor } } },
+    },
+  });
+
+  test("reports changed lazy chunk sizes in their own section", () => {
+    const report = generateReport(routes(20480, 20480), routes(10240, 10240));
+    assert.ok(
+      report.startsWith(
+        REPORT_HEADER +
+          "| Total JS (gzipped) | Diff (vs baseline) | Invalidated |\n|---|---|---|\n" +
+          "| `20 KB` in 1 chunk | 🔴 `+10 KB` | `20 KB` (100%) in 1 chunk |\n\n",
+      ),
+    );
+    assert.ok(report.includes("This PR introduced no changes to the first-load"));
+    assert.ok(
+      report.includes(
+        "### 💤 Lazy-loaded chunks (gzipped)\n\n" +
+          "| Route | Lazy size | Diff (vs baseline) |\n|---|---|---|\n" +
+          "| `all routes` | `20 KB` | 🔴 `+10 KB` |\n" +
+          "| `/editor` | `20 KB` | 🔴 `+10 KB` |\n",
+      ),
+    );
+    assert.ok(
+      report.includes("<summary><code>/editor (lazy)</code> chunks: 0 added, 0 removed, 1 resized"),
+    );
+  });
+
+  test("leaves the section out when lazy chunks are unchanged", () => {
+    const report = generateReport(routes(10240, 10240), routes(10240, 10240));
+    assert.ok(!report.includes("Lazy-loaded"));
+    assert.ok(report.includes("no changes to the JavaScript bundle! 🙌"));
+  });
+});
+
+describe("generateReport baseline commit", () => {
+  const routes = { global: { gzip: 4096 }, "/": { gzip: 1024 } };
+  const report = (baselineCommit) => generateReport(routes, routes, 0, 0, "", { baselineCommit });
+
+  test("names the commit the baseline was built from", () => {
+    assert.ok(report({ sha: "abc123" }).startsWith(REPORT_HEADER + "Compared against abc123.\n\n"));
+    assert.ok(report({}).startsWith(REPORT_HEADER + "This PR introduced no changes"));
+  });
+
+  test("says how the baseline relates to the merge base", () => {
+    assert.ok(
+      report({ sha: "abc123", mergeBaseSha: "abc123" }).includes(
+        "Compared against abc123, the merge base of this PR.\n",
+      ),
+    );
+    assert.ok(
+      report({ sha: "abc123", mergeBaseSha: "def456" }).includes(
+        "Compared against abc123, the closest ancestor of the merge base def456 with a baseline.\n",
+      ),
+    );
+    assert.ok(
+      report({ sha: "abc123", mergeBaseSha: "def456", isAncestor: false }).includes(
+        "Compared against abc123, the latest baseline of the base branch: no ancestor of the merge base def456 has one.\n",
+      ),
+    );
+  });
+
+  test("says when the baseline of the merge base could not be downloaded", () => {
+    const text = report({
+      sha: "abc123",
+      mergeBaseSha: "def456",
+      isAncestor: false,
+      downloadFailed: true,
+    });
+    assert.ok(
+      text.includes(
+        "Compared against abc123, the latest baseline of the base branch: the baseline of the merge base def456 could not be downloaded.\n",
+      ),
+    );
+    assert.ok(!text.includes("no ancestor"));
+  });
+});
+
+describe("generateReport subject", () => {
+  test("names a push instead of a PR", () => {
+    const routes = { global: { gzip: 4096 }, "/": { gzip: 1024 } };
+    const report = generateReport(routes, routes, 0, 0, "", { subject: "push" });
+    assert.ok(report.includes("This push introduced no changes to the JavaScript bundle"));
+  });
+});
+
+describe("generateReport treemap link", () => {
+  const routes = { global: { gzip: 4096 }, "/": { gzip: 1024 } };
+
+  test("links the treemap below the title", () => {
+    const report = generateReport(routes, routes, 0, 0, "", {
+      treemapUrl: "https://github.com/acme/shop/actions/runs/1#artifacts",
+    });
+    assert.ok(
+      report.startsWith(
+        REPORT_HEADER +
+          "📊 [Explore the chunks and modules in the interactive treemap](https://github.com/acme/shop/actions/runs/1#artifacts)",
+      ),
+    );
+    assert.ok(!generateReport(routes, routes).includes("treemap"));
+  });
+});
+
+describe("generateReport config", () => {
+  const baseline = {
+    global: { gzip: 4096 },
+    "/": { gzip: 1024 },
+    "/blog/[slug]": { gzip: 2048 },
+    "/admin": { gzip: 1024 },
+  };
+  const current = {
+    global: { gzip: 4096 },
+    "/": { gzip: 1024 },
+    "/blog/[slug]": { gzip: 2548 },
+    "/admin": { gzip: 8192 },
+    "pages:/admin/legacy": { gzip: 512 },
+  };
+  const config = {
+    ignore: ["/admin/**"],
+    overrides: [{ routes: ["/blog/**"], threshold: 1024 }],
+  };
+
+  test("leaves out ignored routes and applies per-route thresholds", () => {
+    assert.ok(generateReport(current, baseline).includes("`/blog/[slug]`"));
+    const report = generateReport(current, baseline, 0, 0, "", { config });
+    assert.ok(report.includes("This PR introduced no changes to the JavaScript bundle! 🙌"));
+    assert.ok(!report.includes("/admin"));
+  });
+
+  test("applies per-route red percentages", () => {
+    const overrides = [{ routes: ["/blog/*"], budgetPercentIncreaseRed: 50 }];
+    const report = generateReport(current, baseline, 0, 10, "", {
+      config: { ignore: [], overrides },
+    });
+    assert.ok(report.includes("| `/blog/[slug]` | `2.49 KB` | `6.49 KB` | 🟡 `+500 B` |"));
+    assert.ok(report.includes("| `/admin` | `8 KB` | `12 KB` | 🔴 `+7 KB` |"));
+  });
+
+  test("applies the same config to the JSON report", () => {
+    const jsonReport = generateJsonReport(current, baseline, { config });
+    assert.deepEqual(
+      jsonReport.routes.map(({ route, status }) => [route, status]),
+      [
+        ["global", "unchanged"],
+        ["/", "unchanged"],
+        ["/blog/[slug]", "unchanged"],
+      ],
+    );
+    assert.equal(jsonReport.hasRegression, false);
+    assert.equal(jsonReport.totalDeltaBytes, 500);
+  });
+});
+
+describe("generateReport app summary", () => {
+  const routes = (homeHash, lazySize = 2048) => ({
+    global: {
+      gzip: 4096,
+      chunks: { ".next/static/chunks/shared.js": { raw: 9000, gzip: 4096, hash: "aaaa" } },
+      async: {
+        gzip: lazySize,
+        chunks: { "static/chunks/lazy.js": { raw: 6000, gzip: lazySize } },
+      },
+    },
+    "/": {
+      gzip: 1024,
+      chunks: {
+        ".next/static/chunks/home.js": { raw: 3000, gzip: 1024, hash: homeHash },
+        // Also a global chunk of the Pages Router, counted once
+        "static/chunks/shared.js": { raw: 9000, gzip: 4096, hash: "aaaa" },
+      },
+    },
+    "server:middleware": {
+      gzip: 8192,
+      type: "middleware",
+      chunks: { "server/middleware.js": { gzip: 8192 } },
+    },
+  });
+
+  test("sums each client chunk once and counts the chunks that changed", () => {
+    const report = generateReport(routes("cccc", 3072), routes("bbbb"));
+    assert.ok(
+      report.startsWith(
+        REPORT_HEADER +
+          "| Total JS (gzipped) | Diff (vs baseline) | Invalidated |\n|---|---|---|\n" +
+          "| `8 KB` in 3 chunks | 🔴 `+1 KB` | `4 KB` (50%) in 2 chunks |\n\n",
+      ),
+    );
+  });
+
+  test("tells changed chunks apart by content hash, even at the same size", () => {
+    assert.deepEqual(generateJsonReport(routes("cccc"), routes("bbbb")).app, {
+      chunks: 3,
+      total: 7168,
+      baselineTotal: 7168,
+      invalidated: 1024,
+      invalidatedChunks: 1,
+    });
+    assert.equal(generateJsonReport(routes("bbbb"), routes("bbbb")).app.invalidated, 0);
+  });
+
+  test("leaves out the baseline figures when the baseline has no chunk sizes", () => {
+    const report = generateReport(routes("bbbb"), { global: { gzip: 4096 }, "/": { gzip: 1024 } });
+    assert.ok(report.includes("| `7 KB` in 3 chunks | — | — |\n"));
+  });
+
+  test("is left out when chunk sizes were not measured", () => {
+    const report = generateReport({ "/": { gzip: 2048 } }, { "/": { gzip: 1024 } });
+    assert.ok(!report.includes("Total JS"));
+  });
+});
+
+describe("generateReport server bundles", () => {
+  const routes = (middleware) => ({
+    global: { gzip: 4096 },
+    "/": { gzip: 1024 },
+    "server:middleware": { gzip: middleware, type: "middleware" },
+    "server:/api/edge": { gzip: 2048, type: "edge" },
+  });
+
+  test("reports server bundles in their own table, not as routes", () => {
+    const report = generateReport(routes(20480), routes(10240));
+    assert.ok(report.startsWith(REPORT_HEADER + "This PR introduced no changes to the first-load"));
+    assert.ok(
+      report.includes(
+        "### 🖥️ Middleware and edge functions (gzipped)\n\n" +
+          "| Bundle | Type | Size | Diff (vs baseline) |\n|---|---|---|---|\n" +
+          "| `/api/edge` | Edge function | `2 KB` | ➖ No change |\n" +
+          "| `middleware` | Middleware | `20 KB` | 🔴 `+10 KB` |\n",
+      ),
+    );
+  });
+
+  test("shows the headroom below the limit", () => {
+    const report = generateReport(routes(20480), routes(10240), 0, 0, "", {
+      serverBundleLimit: 16384,
+    });
+    assert.ok(report.includes("| Bundle | Type | Size | Diff (vs baseline) | Limit |"));
+    assert.ok(
+      report.includes("| `middleware` | Middleware | `20 KB` | 🔴 `+10 KB` | 🚨 over `16 KB` |"),
+    );
+    assert.ok(
+      report.includes(
+        "| `/api/edge` | Edge function | `2 KB` | ➖ No change | ✅ 12.5% of `16 KB` |",
+      ),
+    );
+  });
+
+  test("leaves the table out when no bundle changed", () => {
+    const report = generateReport(routes(10240), routes(10240));
+    assert.ok(!report.includes("Middleware and edge functions"));
+    assert.ok(report.includes("no changes to the JavaScript bundle! 🙌"));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findRenamedRoutes
+// ---------------------------------------------------------------------------
+
+describe("findRenamedRoutes", () => {
+  const chunks = (...names) =>
+    Object.fromEntries(names.map((name) => [`static/chunks/${name}.js`, { gzip: 100 }]));
+
+  test("matches routes moved between route groups", () => {
+    const renames = findRenamedRoutes(
+      { global: { gzip: 1 }, "/(shop)/cart": { gzip: 100 } },
+      { global: { gzip: 1 }, "/(marketing)/cart": { gzip: 90 } },
+    );
+    assert.deepEqual([...renames], [["/(shop)/cart", "/(marketing)/cart"]]);
+  });
+
+  test("matches renamed routes by their shared chunks", () => {
+    const renames = findRenamedRoutes(
+      {
+        "/account/profile": { gzip: 300, chunks: chunks("profile", "avatar", "forms") },
+        "/account/billing": { gzip: 100, chunks: chunks("billing") },
+      },
+      {
+        "/settings/profile": { gzip: 300, chunks: chunks("profile", "avatar", "forms") },
+        "/settings/team": { gzip: 100, chunks: chunks("team", "forms") },
+      },
+    );
+    assert.deepEqual([...renames], [["/account/profile", "/settings/profile"]]);
+  });
+
+  test("keeps an unrelated removed and added page apart", () => {
+    const current = {
+      "/": { gzip: 100, chunks: chunks("home", "ui") },
+      "/new-feature": { gzip: 300, chunks: chunks("feature", "charts", "ui") },
+    };
+    const baseline = {
+      "/": { gzip: 100, chunks: chunks("home", "ui") },
+      "/deleted-page": { gzip: 300, chunks: chunks("deleted", "charts", "ui") },
+    };
+    assert.equal(findRenamedRoutes(current, baseline).size, 0);
+
+    const report = generateReport(current, baseline);
+    assert.ok(report.includes("| `/new-feature` | `300 B` |"), report);
+    assert.ok(report.includes("🆕 New"));
+    assert.ok(report.includes("🗑️ Removed"));
+    assert.ok(!report.includes("renamed from"));
+  });
+
+  test("does not match across routers or shared entries", () => {
+    const renames = findRenamedRoutes(
+      { "pages:/(a)/about": { gzip: 100 }, "layout:/(a)": { gzip: 1 } },
+      { "/about": { gzip: 100 }, "layout:/(b)": { gzip: 1 } },
+    );
+    assert.equal(renames.size, 0);
+  });
+});
+
+describe("generateReport with renamed routes", () => {
+  const current = {
+    global: { gzip: 4096 },
+    "/account/profile": {
+      gzip: 3072,
+      chunks: {
+        "static/chunks/avatar.js": { gzip: 2048 },
+        "static/chunks/page.js": { gzip: 1024 },
+      },
+    },
+  };
+  const baseline = {
+    global: { gzip: 4096 },
+    "/settings/profile": {
+      gzip: 2560,
+      chunks: { "static/chunks/avatar.js": { gzip: 2048 }, "static/chunks/page.js": { gzip: 512 } },
+    },
+  };
+
+  test("compares a renamed route with its old route", () => {
+    const report = generateReport(current, baseline);
+    assert.ok(
+      report.includes(
+        "| `/account/profile` (renamed from `/settings/profile`) | `3 KB` | `7 KB` | 🔴 `+512 B` |",
+      ),
+    );
+    assert.ok(!report.includes("🆕 New"));
+    assert.ok(!report.includes("🗑️ Removed"));
+  });
+
+  test("lists renamed routes whose size did not change", () => {
+    const report = generateReport(current, {
+      ...baseline,
+      "/settings/profile": current["/account/profile"],
+    });
+    assert.ok(
+      report.includes("(renamed from `/settings/profile`) | `3 KB` | `7 KB` | ➖ No change |"),
+    );
+  });
+
+  test("gives the old route in the JSON report", () => {
+    const report = generateJsonReport(current, baseline);
+    const route = report.routes.find((entry) => entry.route === "/account/profile");
+    assert.equal(route.renamedFrom, "/settings/profile");
+    assert.equal(route.status, "changed");
+    assert.equal(route.delta, 512);
+    assert.equal(report.routes.length, 2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// saveRouteSizes / loadBaseline
+// ---------------------------------------------------------------------------
+
+describe("saveRouteSizes and loadBaseline", () => {
+  const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `baseline-schema-${process.pid}`);
+
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("saves the routes in a versioned envelope", () => {
+    const appRoot = path.join(tmpRoot, "app");
+    const dotNext = path.join(appRoot, ".next");
+    fs.mkdirSync(path.join(dotNext, "static", "chunks"), { recursive: true });
+    fs.mkdirSync(path.join(dotNext, "diagnostics"), { recursive: true });
+    fs.mkdirSync(path.join(appRoot, "node_modules", "next"), { recursive: true });
+    fs.writeFileSync(
+      path.join(appRoot, "node_modules", "next", "package.json"),
+      JSON.stringify({ name: "next", version: "16.2.0" }),
+    );
+    fs.writeFileSync(path.join(dotNext, "static", "chunks", "home.js"), "// home");
+    const statsPath = path.join(dotNext, "diagnostics", "route-bundle-stats.json");
+    fs.writeFileSync(
+      statsPath,
+      JSON.stringify([
+        {
+          route: "/",
+          firstLoadUncompressedJsBytes: 100,
+          firstLoadChunkPaths: [".next/static/chunks/home.js"],
+        },
+      ]),
+    );
+
+    const outputPath = path.join(tmpRoot, "bundle-route-sizes.json");
+    saveRouteSizes(statsPath, outputPath, { compression: "brotli", commitSha: "abc123" });
+    const baseline = loadBaseline(outputPath);
+    assert.equal(baseline.schemaVersion, BASELINE_SCHEMA_VERSION);
+    assert.equal(baseline.nextVersion, "16.2.0");
+    assert.equal(baseline.statsFormat, "route-bundle-stats");
+    assert.equal(baseline.commitSha, "abc123");
+    assert.equal(baseline.compression, "brotli");
+    assert.equal(baseline.routes["global"].raw, "// home".length);
+    assert.deepEqual(loadRouteSizes(outputPath), baseline.routes);
+  });
+
+  test("migrates bare route maps of older versions", () => {
+    fs.mkdirSync(tmpRoot, { recursive: true });
+    const sizesPath = path.join(tmpRoot, "old.json");
+    const routes = { global: { gzip: 5000, brotli: 4000 }, "/": { gzip: 1000, brotli: 800 } };
+    fs.writeFileSync(sizesPath, JSON.stringify(routes));
+
+    assert.deepEqual(loadBaseline(sizesPath), {
+      schemaVersion: BASELINE_SCHEMA_VERSION,
+      nextVersion: null,
+      statsFormat: null,
+      commitSha: null,
+      compression: "both",
+      routes,
+    });
+    assert.deepEqual(loadRouteSizes(sizesPath), routes);
+  });
+
+  test("rejects baselines of a newer schema version", () => {
+    fs.mkdirSync(tmpRoot, { recursive: true });
+    const sizesPath = path.join(tmpRoot, "new.json");
+    fs.writeFileSync(sizesPath, JSON.stringify({ schemaVersion: 99, routes: {} }));
+    assert.throws(() => loadBaseline(sizesPath), /schema version 99.*Update the action/);
+  });
+
+  test("returns nothing for missing files", () => {
+    assert.equal(loadBaseline(path.join(tmpRoot, "missing.json")), null);
+    assert.deepEqual(loadRouteSizes(path.join(tmpRoot, "missing.json")), {});
+  });
 });
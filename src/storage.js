@@ -0,0 +1,187 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const STORAGE_TYPES = ["directory", "git-branch", "actions-cache"];
+
+/**
+ * Directory that the action restores from and saves to the Actions cache.
+ * The `actions-cache` backend is a directory backend rooted here.
+ */
+const ACTIONS_CACHE_DIR = "_bundle-size-cache";
+
+const DEFAULT_BASELINE_BRANCH = "bundle-size-baselines";
+
+const PUSH_ATTEMPTS = 3;
+
+/**
+ * A baseline storage backend. Files are stored under a key (e.g.
+ * `turbopack-main-stats-main`) by their base name, so one key can hold several
+ * files (route sizes, history, ...).
+ *
+ * @typedef {object} BaselineStorage
+ * @property {(key: string, sourcePath: string) => void} save - Stores the file at `sourcePath`
+ * @property {(key: string, targetPath: string) => boolean} load - Writes the stored file with
+ *   the base name of `targetPath` to `targetPath`. Returns false when it is not stored.
+ */
+
+function getStoredPath(key, filePath) {
+  return `${key}/${path.basename(filePath)}`;
+}
+
+/**
+ * Creates a storage backend that keeps baselines in a local directory, e.g. a
+ * persistent disk on a self-hosted runner.
+ *
+ * @param {{ dir: string }} options
+ * @returns {BaselineStorage}
+ */
+function createDirectoryStorage({ dir }) {
+  if (!dir) throw new Error("The directory baseline storage needs a directory");
+  return {
+    save(key, sourcePath) {
+      const storedPath = path.join(dir, getStoredPath(key, sourcePath));
+      fs.mkdirSync(path.dirname(storedPath), { recursive: true });
+      fs.copyFileSync(sourcePath, storedPath);
+    },
+    load(key, targetPath) {
+      const storedPath = path.join(dir, getStoredPath(key, targetPath));
+      if (!fs.existsSync(storedPath)) return false;
+      fs.mkdirSync(path.dirname(path.resolve(targetPath)), { recursive: true });
+      fs.copyFileSync(storedPath, targetPath);
+      return true;
+    },
+  };
+}
+
+/**
+ * Creates a storage backend that commits baselines to a dedicated orphan
+ * branch of a git remote. Baselines on a branch never expire, unlike
+ * artifacts and caches.
+ *
+ * Commits are built with git plumbing commands and a temporary index, so the
+ * working tree and current branch of the checkout are left untouched. Pushes
+ * that lose a race with another job are retried on top of the new tip.
+ *
+ * @param {{ branch?: string, remote?: string, cwd?: string }} [options]
+ * @returns {BaselineStorage}
+ */
+function createGitBranchStorage(options = {}) {
+  const { branch = DEFAULT_BASELINE_BRANCH, remote = "origin", cwd = process.cwd() } = options;
+  const remoteRef = `refs/remotes/${remote}/${branch}`;
+
+  const git = (args, env = {}) =>
+    execFileSync("git", args, {
+      cwd,
+      encoding: "utf8",
+      env: { ...process.env, ...env },
+      stdio: ["ignore", "pipe", "pipe"],
+    }).trim();
+
+  const fetchBranch = () => {
+    try {
+      git(["fetch", "--quiet", "--depth=1", remote, `+refs/heads/${branch}:${remoteRef}`]);
+      return git(["rev-parse", remoteRef]);
+    } catch {
+      return null;
+    }
+  };
+
+  const commitFile = (parent, storedPath, blob) => {
+    const indexFile = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "bundle-size-index-")),
+      "index",
+    );
+    const env = {
+      GIT_INDEX_FILE: indexFile,
+      GIT_AUTHOR_NAME: process.env.GIT_AUTHOR_NAME || "github-actions[bot]",
+      GIT_AUTHOR_EMAIL:
+        process.env.GIT_AUTHOR_EMAIL || "41898282+github-actions[bot]@users.noreply.github.com",
+      GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || "github-actions[bot]",
+      GIT_COMMITTER_EMAIL:
+        process.env.GIT_COMMITTER_EMAIL || "41898282+github-actions[bot]@users.noreply.github.com",
+    };
+    try {
+      git(parent ? ["read-tree", parent] : ["read-tree", "--empty"], env);
+      git(["update-index", "--add", "--cacheinfo", `100644,${blob},${storedPath}`], env);
+      const tree = git(["write-tree"], env);
+      const parentArgs = parent ? ["-p", parent] : [];
+      return git(["commit-tree", tree, ...parentArgs, "-m", `Update ${storedPath}`], env);
+    } finally {
+      fs.rmSync(path.dirname(indexFile), { recursive: true, force: true });
+    }
+  };
+
+  return {
+    save(key, sourcePath) {
+      const storedPath = getStoredPath(key, sourcePath);
+      const blob = git(["hash-object", "-w", sourcePath]);
+      for (let attempt = 1; ; attempt++) {
+        const commit = commitFile(fetchBranch(), storedPath, blob);
+        try {
+          git(["push", "--quiet", remote, `${commit}:refs/heads/${branch}`]);
+          return;
+        } catch (error) {
+          if (attempt >= PUSH_ATTEMPTS) throw error;
+          console.log(`ℹ️ Push to ${branch} was rejected, retrying on top of the new tip`);
+        }
+      }
+    },
+    load(key, targetPath) {
+      if (!fetchBranch()) return false;
+      const object = `${remoteRef}:${getStoredPath(key, targetPath)}`;
+      try {
+        git(["cat-file", "-e", object]);
+      } catch {
+        return false;
+      }
+      // Streamed to the file as is, since baselines can be larger than the
+      // output buffer of execFileSync.
+      fs.mkdirSync(path.dirname(path.resolve(targetPath)), { recursive: true });
+      const fd = fs.openSync(targetPath, "w");
+      try {
+        execFileSync("git", ["cat-file", "blob", object], { cwd, stdio: ["ignore", fd, "pipe"] });
+      } finally {
+        fs.closeSync(fd);
+      }
+      return true;
+    },
+  };
+}
+
+/**
+ * Creates a baseline storage backend.
+ *
+ * - `directory`: files in `options.dir`
+ * - `git-branch`: commits on `options.branch` (default `bundle-size-baselines`)
+ *   of `options.remote` (default `origin`)
+ * - `actions-cache`: files in `_bundle-size-cache` of `options.cwd`, which the
+ *   action restores from and saves to the GitHub Actions cache. `options.dir`
+ *   is ignored, since the cache steps only save that directory.
+ *
+ * @param {string} type
+ * @param {{ dir?: string, branch?: string, remote?: string, cwd?: string }} [options]
+ * @returns {BaselineStorage}
+ */
+function createStorage(type, options = {}) {
+  switch (type) {
+    case "directory":
+      return createDirectoryStorage(options);
+    case "git-branch":
+      return createGitBranchStorage(options);
+    case "actions-cache":
+      return createDirectoryStorage({ dir: path.join(options.cwd || "", ACTIONS_CACHE_DIR) });
+    default:
+      throw new Error(
+        `Unknown baseline storage "${type}". Expected one of: ${STORAGE_TYPES.join(", ")}`,
+      );
+  }
+}
+
+module.exports = {
+  ACTIONS_CACHE_DIR,
+  createStorage,
+};
@@ -0,0 +1,139 @@
+"use strict";
+
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createStorage, ACTIONS_CACHE_DIR } = require("./storage.js");
+
+const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `bundle-size-storage-${process.pid}`);
+
+function writeSizes(name, routes) {
+  const filePath = path.join(tmpRoot, name, "bundle-route-sizes.json");
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(routes));
+  return filePath;
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// ---------------------------------------------------------------------------
+// createStorage
+// ---------------------------------------------------------------------------
+
+describe("createStorage", () => {
+  test("throws on unknown storage types", () => {
+    assert.throws(() => createStorage("s3"), /Unknown baseline storage "s3"/);
+  });
+
+  test("actions-cache stores files in the cached directory, whatever dir is given", () => {
+    const dir = path.join(tmpRoot, "baselines");
+    const storage = createStorage("actions-cache", { cwd: tmpRoot, dir });
+    storage.save("stats-main", writeSizes("push", { "/": { gzip: 100 } }));
+    assert.ok(
+      fs.existsSync(path.join(tmpRoot, ACTIONS_CACHE_DIR, "stats-main", "bundle-route-sizes.json")),
+    );
+    assert.ok(!fs.existsSync(dir));
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// directory storage
+// ---------------------------------------------------------------------------
+
+describe("directory storage", () => {
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("saves and loads route sizes by key", () => {
+    const storage = createStorage("directory", { dir: path.join(tmpRoot, "baselines") });
+    storage.save("stats-main", writeSizes("push", { "/": { gzip: 100 } }));
+    storage.save("stats-feature/x", writeSizes("push", { "/": { gzip: 200 } }));
+
+    const target = path.join(tmpRoot, "pr", "bundle-route-sizes.json");
+    assert.equal(storage.load("stats-main", target), true);
+    assert.deepEqual(readJson(target), { "/": { gzip: 100 } });
+    assert.equal(storage.load("stats-feature/x", target), true);
+    assert.deepEqual(readJson(target), { "/": { gzip: 200 } });
+  });
+
+  test("returns false for missing keys", () => {
+    const storage = createStorage("directory", { dir: path.join(tmpRoot, "baselines") });
+    assert.equal(storage.load("stats-main", path.join(tmpRoot, "bundle-route-sizes.json")), false);
+  });
+
+  test("requires a directory", () => {
+    assert.throws(() => createStorage("directory"), /needs a directory/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// git-branch storage
+// ---------------------------------------------------------------------------
+
+describe("git-branch storage", () => {
+  const remoteDir = path.join(tmpRoot, "remote.git");
+  const checkoutDir = path.join(tmpRoot, "checkout");
+  const git = (args, cwd = checkoutDir) =>
+    execFileSync("git", args, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+
+  beforeEach(() => {
+    fs.mkdirSync(checkoutDir, { recursive: true });
+    git(["init", "--quiet", "--bare", remoteDir], tmpRoot);
+    git(["init", "--quiet"]);
+    git(["remote", "add", "origin", remoteDir]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("returns false before the branch exists", () => {
+    const storage = createStorage("git-branch", { cwd: checkoutDir });
+    assert.equal(storage.load("stats-main", path.join(tmpRoot, "bundle-route-sizes.json")), false);
+  });
+
+  test("commits baselines to an orphan branch and loads them back", () => {
+    const storage = createStorage("git-branch", { cwd: checkoutDir, branch: "baselines" });
+    storage.save("stats-main", writeSizes("push-1", { "/": { gzip: 100 } }));
+    storage.save("stats-develop", writeSizes("push-2", { "/": { gzip: 300 } }));
+    storage.save("stats-main", writeSizes("push-3", { "/": { gzip: 200 } }));
+
+    const target = path.join(tmpRoot, "pr", "bundle-route-sizes.json");
+    assert.equal(storage.load("stats-main", target), true);
+    assert.deepEqual(readJson(target), { "/": { gzip: 200 } });
+    assert.equal(storage.load("stats-develop", target), true);
+    assert.deepEqual(readJson(target), { "/": { gzip: 300 } });
+
+    assert.equal(git(["rev-list", "--count", "baselines"], remoteDir), "3");
+    assert.equal(git(["rev-list", "--max-parents=0", "--count", "baselines"], remoteDir), "1");
+  });
+
+  test("loads baselines larger than the output buffer byte for byte", () => {
+    const storage = createStorage("git-branch", { cwd: checkoutDir });
+    const routes = {};
+    for (let i = 0; i < 20000; i++) routes[`/route-${i}`] = { gzip: i, hash: "0123456789abcdef" };
+    const source = writeSizes("push", routes);
+    fs.appendFileSync(source, "\n");
+    storage.save("stats-main", source);
+
+    const target = path.join(tmpRoot, "pr", "bundle-route-sizes.json");
+    assert.equal(storage.load("stats-main", target), true);
+    assert.ok(fs.statSync(target).size > 1024 * 1024);
+    assert.ok(fs.readFileSync(target).equals(fs.readFileSync(source)));
+    assert.equal(storage.load("stats-develop", target), false);
+  });
+
+  test("does not touch the working tree of the checkout", () => {
+    fs.writeFileSync(path.join(checkoutDir, "app.js"), "// app");
+    const storage = createStorage("git-branch", { cwd: checkoutDir });
+    storage.save("stats-main", writeSizes("push", { "/": { gzip: 100 } }));
+    assert.deepEqual(fs.readdirSync(checkoutDir).sort(), [".git", "app.js"]);
+    assert.equal(git(["status", "--porcelain"]), "?? app.js");
+  });
+});
@@ -0,0 +1,376 @@
+"use strict";
+
+const { EMPTY_CONFIG } = require("./config.js");
+const {
+  METRIC_LABELS,
+  formatBytes,
+  getPrimaryMetric,
+  getRouteLabel,
+  isServerBundle,
+  prepareRoutes,
+} = require("./parse-stats.js");
+
+/**
+ * Name of the HTML file and artifact the action writes the treemap to.
+ */
+const TREEMAP_FILE = "bundle-treemap.html";
+
+/**
+ * A box of the treemap. `baseline` is the size in the baseline, null when the
+ * node is new, and missing when the baseline does not break its parent down.
+ *
+ * @typedef {object} TreemapNode
+ * @property {string} name
+ * @property {number} size
+ * @property {number | null} [baseline]
+ * @property {boolean} [uncompressed] - Module sizes, which are not compressed
+ * @property {string} [renamedFrom]
+ * @property {TreemapNode[]} [children]
+ */
+
+/**
+ * @param {Record<string, number> | undefined} current - package → bytes
+ * @param {Record<string, number> | undefined} baseline
+ * @returns {TreemapNode[]}
+ */
+function buildModuleNodes(current, baseline) {
+  return Object.entries(current || {}).map(([name, size]) => ({
+    name,
+    size,
+    uncompressed: true,
+    ...(baseline && { baseline: baseline[name] ?? null }),
+  }));
+}
+
+/**
+ * @param {{ chunks?: Record<string, object> }} current
+ * @param {{ chunks?: Record<string, object> } | undefined} baseline
+ * @param {string} metric
+ * @returns {TreemapNode[]}
+ */
+function buildChunkNodes(current, baseline, metric) {
+  const baselineChunks = baseline && baseline.chunks;
+  return Object.entries(current.chunks || {}).map(([chunkPath, chunk]) => {
+    const baselineChunk = baselineChunks && baselineChunks[chunkPath];
+    const modules = buildModuleNodes(chunk.packages, baselineChunk && baselineChunk.packages);
+    return {
+      name: chunkPath.replace(/^\.next\//, ""),
+      size: chunk[metric] || 0,
+      ...(baselineChunks && { baseline: baselineChunk ? (baselineChunk[metric] ?? null) : null }),
+      ...(modules.length > 0 && { children: modules }),
+    };
+  });
+}
+
+/**
+ * Builds the tree of the treemap from the same routes as the report: the
+ * routes (with `global`, layout segments and shared clusters), their chunks,
+ * and the modules of each chunk by package when the stats list modules.
+ * Ignored and renamed routes are handled like in `generateReport`; server
+ * bundles are left out.
+ *
+ * @param {Record<string, object>} originalCurrentRoutes
+ * @param {Record<string, object>} originalBaselineRoutes
+ * @param {{ config?: object }} [options]
+ * @returns {{ metric: string, root: TreemapNode, removed: Array<{ name: string, baseline: number }> }}
+ *   `removed` lists the routes that are only in the baseline
+ */
+function buildTreemapData(originalCurrentRoutes, originalBaselineRoutes, options = {}) {
+  const { config = EMPTY_CONFIG } = options;
+  const { currentRoutes, baselineRoutes, renames } = prepareRoutes(
+    originalCurrentRoutes,
+    originalBaselineRoutes,
+    config,
+  );
+  const metric = getPrimaryMetric(currentRoutes, baselineRoutes);
+  const hasBaseline = Object.keys(baselineRoutes).length > 0;
+
+  const routes = [];
+  const removed = [];
+  const allRoutes = [...new Set([...Object.keys(currentRoutes), ...Object.keys(baselineRoutes)])];
+  for (const route of allRoutes.sort()) {
+    if (isServerBundle(route)) continue;
+    const current = currentRoutes[route];
+    const baseline = baselineRoutes[route];
+    if (!current) {
+      removed.push({ name: getRouteLabel(route), baseline: baseline[metric] || 0 });
+      continue;
+    }
+    const children = buildChunkNodes(current, baseline, metric);
+    routes.push({
+      name: route.startsWith("pages:")
+        ? `${getRouteLabel(route)} (Pages Router)`
+        : getRouteLabel(route),
+      size: current[metric] || 0,
+      ...(hasBaseline && { baseline: baseline ? (baseline[metric] ?? null) : null }),
+      ...(renames.has(route) && { renamedFrom: renames.get(route) }),
+      ...(children.length > 0 && { children }),
+    });
+  }
+
+  const sum = (nodes, key) => nodes.reduce((total, node) => total + (node[key] || 0), 0);
+  const root = {
+    name: "All routes",
+    size: sum(routes, "size"),
+    ...(hasBaseline && { baseline: sum(routes, "baseline") + sum(removed, "baseline") }),
+    children: routes,
+  };
+  return { metric, root, removed };
+}
+
+/**
+ * Lays out values as rectangles of proportional area with the squarified
+ * treemap algorithm. Runs in the browser, so it uses nothing from outside.
+ *
+ * @param {number[]} values
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{ x: number, y: number, width: number, height: number }>} One rectangle per
+ *   value, in the order of `values`; empty ones for values of 0
+ */
+function squarify(values, x, y, width, height) {
+  const rects = values.map(() => ({ x, y, width: 0, height: 0 }));
+  const total = values.reduce((sum, value) => sum + Math.max(value, 0), 0);
+  if (total <= 0 || width <= 0 || height <= 0) return rects;
+
+  const scale = (width * height) / total;
+  const order = values
+    .map((value, i) => i)
+    .filter((i) => values[i] > 0)
+    .sort((a, b) => values[b] - values[a]);
+  let free = { x, y, width, height };
+
+  const worstRatio = (row, length) => {
+    const areas = row.map((i) => values[i] * scale);
+    const sum = areas.reduce((a, b) => a + b, 0);
+    const max = Math.max(...areas);
+    const min = Math.min(...areas);
+    return Math.max((length * length * max) / (sum * sum), (sum * sum) / (length * length * min));
+  };
+  const layoutRow = (row) => {
+    const sum = row.reduce((total, i) => total + values[i] * scale, 0);
+    if (free.width >= free.height) {
+      const rowWidth = sum / free.height;
+      let top = free.y;
+      for (const i of row) {
+        const rowHeight = (values[i] * scale) / rowWidth;
+        rects[i] = { x: free.x, y: top, width: rowWidth, height: rowHeight };
+        top += rowHeight;
+      }
+      free = { x: free.x + rowWidth, y: free.y, width: free.width - rowWidth, height: free.height };
+    } else {
+      const rowHeight = sum / free.width;
+      let left = free.x;
+      for (const i of row) {
+        const rowWidth = (values[i] * scale) / rowHeight;
+        rects[i] = { x: left, y: free.y, width: rowWidth, height: rowHeight };
+        left += rowWidth;
+      }
+      free = {
+        x: free.x,
+        y: free.y + rowHeight,
+        width: free.width,
+        height: free.height - rowHeight,
+      };
+    }
+  };
+
+  let row = [];
+  for (const i of order) {
+    const length = Math.min(free.width, free.height);
+    if (row.length === 0 || worstRatio([...row, i], length) <= worstRatio(row, length)) {
+      row.push(i);
+    } else {
+      layoutRow(row);
+      row = [i];
+    }
+  }
+  if (row.length > 0) layoutRow(row);
+  return rects;
+}
+
+/**
+ * Draws the treemap into `container` and lets the user zoom into a box by
+ * clicking it, and out through the breadcrumb. Runs in the browser, with
+ * `squarify` and `formatBytes` defined next to it.
+ *
+ * @param {HTMLElement} container
+ * @param {HTMLElement} breadcrumb
+ * @param {{ metric: string, root: object }} data - From `buildTreemapData`, with `metric` as
+ *   its label
+ */
+function renderTreemap(container, breadcrumb, data) {
+  const LABEL_HEIGHT = 18;
+  const MIN_NESTED_SIZE = 48;
+  const path = [data.root];
+
+  const color = (node) => {
+    if (node.baseline === undefined) return "#d0d7de";
+    if (node.baseline === null) return "#54aeff";
+    const delta = node.size - node.baseline;
+    if (delta === 0) return "#eaeef2";
+    const share = Math.min(Math.abs(delta) / Math.max(node.baseline, 1), 1);
+    const lightness = Math.round(88 - share * 40);
+    return delta > 0 ? `hsl(0, 75%, ${lightness}%)` : `hsl(135, 50%, ${lightness}%)`;
+  };
+
+  const describe = (node) => {
+    const unit = node.uncompressed ? "uncompressed" : data.metric;
+    const lines = [node.name, `${formatBytes(node.size)} (${unit})`];
+    if (node.baseline === null) lines.push("New");
+    else if (node.baseline !== undefined && node.baseline !== node.size) {
+      const delta = node.size - node.baseline;
+      lines.push(`${delta > 0 ? "+" : "-"}${formatBytes(Math.abs(delta))} vs baseline`);
+    }
+    if (node.renamedFrom) lines.push(`Renamed from ${node.renamedFrom}`);
+    if (node.children) lines.push("Click to zoom in");
+    return lines.join("\n");
+  };
+
+  const drawNodes = (parent, nodes, width, height, nested) => {
+    const visible = nodes.filter((node) => node.size > 0);
+    const rects = squarify(
+      visible.map((node) => node.size),
+      0,
+      0,
+      width,
+      height,
+    );
+    visible.forEach((node, i) => {
+      const rect = rects[i];
+      const box = document.createElement("div");
+      box.className = "node";
+      box.style.left = `${rect.x}px`;
+      box.style.top = `${rect.y}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+      box.style.background = color(node);
+      box.title = describe(node);
+      const label = document.createElement("span");
+      label.textContent = `${node.name} ${formatBytes(node.size)}`;
+      box.appendChild(label);
+      if (node.children) {
+        box.classList.add("parent");
+        if (!nested) {
+          box.addEventListener("click", () => {
+            path.push(node);
+            draw();
+          });
+          if (rect.width > MIN_NESTED_SIZE && rect.height > MIN_NESTED_SIZE) {
+            const inner = document.createElement("div");
+            inner.className = "children";
+            box.appendChild(inner);
+            drawNodes(inner, node.children, rect.width - 4, rect.height - LABEL_HEIGHT - 2, true);
+          }
+        }
+      }
+      parent.appendChild(box);
+    });
+  };
+
+  const draw = () => {
+    const current = path[path.length - 1];
+    container.replaceChildren();
+    breadcrumb.replaceChildren();
+    path.forEach((node, i) => {
+      const crumb = document.createElement("button");
+      crumb.textContent = `${node.name} (${formatBytes(node.size)})`;
+      crumb.disabled = i === path.length - 1;
+      crumb.addEventListener("click", () => {
+        path.length = i + 1;
+        draw();
+      });
+      breadcrumb.appendChild(crumb);
+    });
+    const { width, height } = container.getBoundingClientRect();
+    drawNodes(container, current.children || [current], width, height, false);
+  };
+
+  window.addEventListener("resize", draw);
+  draw();
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char],
+  );
+}
+
+const STYLES = `
+  body { margin: 0; font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #1f2328; display: flex; flex-direction: column; height: 100vh; }
+  header { padding: 12px 16px; border-bottom: 1px solid #d0d7de; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  p { margin: 4px 0; }
+  .legend span { display: inline-block; padding: 0 6px; margin-right: 6px; border-radius: 3px; }
+  #breadcrumb button { margin: 4px 4px 0 0; font: inherit; cursor: pointer; }
+  #treemap { position: relative; flex: 1; margin: 8px 16px; }
+  .node { position: absolute; box-sizing: border-box; overflow: hidden; border: 1px solid #fff; }
+  .node > span { display: block; padding: 1px 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; height: 16px; }
+  .node.parent { cursor: pointer; }
+  .children { position: absolute; left: 2px; top: 18px; right: 2px; bottom: 2px; }
+  .children .node > span { font-size: 11px; }
+  footer { padding: 0 16px 12px; }
+`;
+
+/**
+ * Generates a self-contained HTML page with a zoomable treemap of the routes,
+ * their chunks and the modules of the chunks, colored by their change
+ * against the baseline. It needs no network access to open.
+ *
+ * @param {Record<string, object>} currentRoutes
+ * @param {Record<string, object>} baselineRoutes
+ * @param {{ title?: string, config?: object }} [options] - `config` as for `generateReport`
+ * @returns {string}
+ */
+function generateTreemapHtml(currentRoutes, baselineRoutes, options = {}) {
+  const { title = "Next.js bundle treemap" } = options;
+  const { metric, root, removed } = buildTreemapData(currentRoutes, baselineRoutes, options);
+  const data = { metric: METRIC_LABELS[metric], root };
+  // Keeps route names from closing the script element.
+  const json = JSON.stringify(data).replace(/</g, "\\u003c");
+  const removedList =
+    removed.length > 0
+      ? `<footer><p>Removed routes: ${removed
+          .map(
+            ({ name, baseline }) => `<code>${escapeHtml(name)}</code> (${formatBytes(baseline)})`,
+          )
+          .join(", ")}</p></footer>`
+      : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>Box areas are ${escapeHtml(data.metric)} sizes; modules are sized by their uncompressed share of a chunk. Hover a box for details, click it to zoom in.</p>
+<p class="legend"><span style="background: hsl(0, 75%, 60%)">Grew</span><span style="background: hsl(135, 50%, 60%)">Shrank</span><span style="background: #54aeff">New</span><span style="background: #eaeef2">Unchanged</span><span style="background: #d0d7de">No baseline</span></p>
+<nav id="breadcrumb"></nav>
+</header>
+<div id="treemap"></div>
+${removedList}
+<script>
+${formatBytes.toString()}
+${squarify.toString()}
+${renderTreemap.toString()}
+renderTreemap(document.getElementById("treemap"), document.getElementById("breadcrumb"), ${json});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  TREEMAP_FILE,
+  buildTreemapData,
+  squarify,
+  generateTreemapHtml,
+};
@@ -0,0 +1,166 @@
+"use strict";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const vm = require("vm");
+const { buildTreemapData, squarify, generateTreemapHtml } = require("./treemap.js");
+
+const baseline = {
+  global: {
+    raw: 10000,
+    gzip: 4000,
+    chunks: { ".next/static/chunks/main.js": { raw: 10000, gzip: 4000 } },
+  },
+  "/": {
+    raw: 3000,
+    gzip: 1000,
+    chunks: {
+      ".next/static/chunks/page.js": {
+        raw: 3000,
+        gzip: 1000,
+        packages: { "node_modules/lodash": 2000, "src/app": 1000 },
+      },
+    },
+  },
+  "/old": { raw: 500, gzip: 200 },
+};
+
+const current = {
+  global: {
+    raw: 10000,
+    gzip: 4000,
+    chunks: { ".next/static/chunks/main.js": { raw: 10000, gzip: 4000 } },
+  },
+  "/": {
+    raw: 5000,
+    gzip: 1500,
+    chunks: {
+      ".next/static/chunks/page.js": {
+        raw: 4000,
+        gzip: 1200,
+        packages: { "node_modules/lodash": 2000, "node_modules/dayjs": 2000 },
+      },
+      ".next/static/chunks/extra.js": { raw: 1000, gzip: 300 },
+    },
+  },
+  "/about": { raw: 800, gzip: 400 },
+  "server:middleware": { raw: 9000, gzip: 3000 },
+};
+
+// ---------------------------------------------------------------------------
+// buildTreemapData
+// ---------------------------------------------------------------------------
+
+describe("buildTreemapData", () => {
+  test("nests chunks and modules under the routes with their baseline sizes", () => {
+    const { metric, root, removed } = buildTreemapData(current, baseline);
+    assert.equal(metric, "gzip");
+    assert.deepEqual(
+      root.children.map((node) => node.name),
+      ["/", "/about", "global"],
+      "server bundles are left out",
+    );
+    assert.equal(root.size, 5900);
+    assert.equal(root.baseline, 5200);
+    assert.deepEqual(removed, [{ name: "/old", baseline: 200 }]);
+
+    const [page, about] = root.children;
+    assert.equal(page.baseline, 1000);
+    assert.equal(about.baseline, null, "new routes have a null baseline");
+    assert.deepEqual(page.children, [
+      {
+        name: "static/chunks/page.js",
+        size: 1200,
+        baseline: 1000,
+        children: [
+          { name: "node_modules/lodash", size: 2000, uncompressed: true, baseline: 2000 },
+          { name: "node_modules/dayjs", size: 2000, uncompressed: true, baseline: null },
+        ],
+      },
+      { name: "static/chunks/extra.js", size: 300, baseline: null },
+    ]);
+  });
+
+  test("leaves out baseline sizes without a baseline", () => {
+    const { root } = buildTreemapData(current, {});
+    assert.ok(!("baseline" in root));
+    assert.ok(root.children.every((node) => !("baseline" in node)));
+    assert.ok(!("baseline" in root.children[0].children[0].children[0]));
+  });
+
+  test("leaves out ignored routes and follows renamed ones", () => {
+    const config = { ignore: ["/about"], overrides: [] };
+    const { root } = buildTreemapData(current, baseline, { config });
+    assert.ok(!root.children.some((node) => node.name === "/about"));
+
+    const renamed = { ...baseline, "/home": { ...baseline["/"], chunks: current["/"].chunks } };
+    delete renamed["/"];
+    const page = buildTreemapData(current, renamed).root.children[0];
+    assert.equal(page.renamedFrom, "/home");
+    assert.equal(page.baseline, 1000);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// squarify
+// ---------------------------------------------------------------------------
+
+describe("squarify", () => {
+  const area = ({ width, height }) => width * height;
+
+  test("gives each value a share of the area proportional to it", () => {
+    const values = [6, 6, 4, 3, 2, 2, 1];
+    const rects = squarify(values, 0, 0, 600, 400);
+    rects.forEach((rect, i) => {
+      assert.ok(Math.abs(area(rect) - values[i] * 10000) < 1e-6);
+      assert.ok(rect.x >= 0 && rect.y >= 0);
+      assert.ok(rect.x + rect.width <= 600 + 1e-6 && rect.y + rect.height <= 400 + 1e-6);
+    });
+  });
+
+  test("keeps the rectangles close to squares", () => {
+    const rects = squarify([1, 1, 1, 1], 10, 20, 100, 100);
+    for (const rect of rects) {
+      assert.ok(Math.abs(rect.width - 50) < 1e-6 && Math.abs(rect.height - 50) < 1e-6);
+    }
+    assert.deepEqual(rects.map(({ x, y }) => [x, y]).sort(), [
+      [10, 20],
+      [10, 70],
+      [60, 20],
+      [60, 70],
+    ]);
+  });
+
+  test("gives zero values empty rectangles", () => {
+    const rects = squarify([0, 5], 0, 0, 10, 10);
+    assert.equal(area(rects[0]), 0);
+    assert.equal(area(rects[1]), 100);
+    assert.deepEqual(squarify([0], 0, 0, 10, 10), [{ x: 0, y: 0, width: 0, height: 0 }]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateTreemapHtml
+// ---------------------------------------------------------------------------
+
+describe("generateTreemapHtml", () => {
+  test("embeds the data and the script without external resources", () => {
+    const html = generateTreemapHtml(current, baseline, { title: "Shop <bundle>" });
+    assert.ok(html.startsWith("<!DOCTYPE html>"));
+    assert.ok(html.includes("<title>Shop &lt;bundle&gt;</title>"));
+    assert.ok(!/\b(src|href)=/.test(html), "loads nothing over the network");
+    assert.ok(html.includes("Removed routes: <code>/old</code> (200 B)"));
+    assert.ok(html.includes('"metric":"gzipped"'));
+  });
+
+  test("keeps route names from closing the script", () => {
+    const html = generateTreemapHtml({ "/</script>": { gzip: 100 } }, {});
+    assert.equal(html.match(/<\/script>/g).length, 1);
+  });
+
+  test("produces a script that parses", () => {
+    const html = generateTreemapHtml(current, baseline);
+    const script = html.slice(html.indexOf("<script>") + 8, html.indexOf("</script>"));
+    assert.doesNotThrow(() => new vm.Script(script));
+  });
+});
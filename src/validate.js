@@ -0,0 +1,276 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Problems with the stats file or the build manifests.
+ *
+ * @typedef {object} Diagnostic
+ * @property {"error" | "warning"} level - Errors make the stats unusable. Warnings mean part
+ *   of the build is left out of the report; they are errors in strict mode.
+ * @property {string} message - What is wrong and what to do about it
+ */
+
+/**
+ * Thrown when the stats cannot be used, with the diagnostics that caused it.
+ */
+class StatsValidationError extends Error {
+  /**
+   * @param {Diagnostic[]} diagnostics
+   */
+  constructor(diagnostics) {
+    super(diagnostics.map((diagnostic) => diagnostic.message).join("\n"));
+    this.name = "StatsValidationError";
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Manifests read from the `.next` directory, relative to it.
+ */
+const MANIFESTS = [
+  path.join("server", "app-paths-manifest.json"),
+  "build-manifest.json",
+  path.join("server", "pages-manifest.json"),
+  path.join("server", "middleware-manifest.json"),
+];
+
+const MAX_LISTED_ENTRIES = 5;
+
+/**
+ * Returns the version of the `next` package the app in `dotNextDir` is built
+ * with, or null when it cannot be resolved.
+ *
+ * @param {string} dotNextDir
+ * @returns {string | null}
+ */
+function getNextVersion(dotNextDir) {
+  try {
+    const packagePath = require.resolve("next/package.json", {
+      paths: [path.dirname(dotNextDir)],
+    });
+    return JSON.parse(fs.readFileSync(packagePath, "utf8")).version || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads a JSON file of the build.
+ *
+ * @param {string} filePath
+ * @returns {{ content?: unknown, diagnostic?: Diagnostic }}
+ */
+function readBuildJson(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (text.trim() === "") {
+    return {
+      diagnostic: {
+        level: "error",
+        message: `${filePath} is empty. The build was probably interrupted; rebuild the app.`,
+      },
+    };
+  }
+  try {
+    return { content: JSON.parse(text) };
+  } catch (error) {
+    // The parser fails at the end of a file that was cut off.
+    const position = /at position (\d+)/.exec(error.message);
+    const truncated =
+      /Unexpected end of JSON input/.test(error.message) ||
+      (position !== null && Number(position[1]) >= text.trimEnd().length);
+    return {
+      diagnostic: {
+        level: "error",
+        message: truncated
+          ? `${filePath} is truncated (${error.message}). The build was probably interrupted or ran out of disk space; rebuild the app.`
+          : `${filePath} is not valid JSON (${error.message}).`,
+      },
+    };
+  }
+}
+
+/**
+ * Explains why there is no stats file at `statsPath`.
+ *
+ * @param {string} statsPath
+ * @returns {Diagnostic}
+ */
+function diagnoseMissingStats(statsPath) {
+  const segments = path.resolve(statsPath).split(path.sep);
+  const idx = segments.lastIndexOf(".next");
+  if (idx < 0) {
+    return {
+      level: "warning",
+      message: `No stats file at ${statsPath}, and the path is not inside a .next directory. Set stats-path to .next/diagnostics/route-bundle-stats.json of the app, relative to the repository root (e.g. apps/web/.next/diagnostics/route-bundle-stats.json).`,
+    };
+  }
+  const dotNextDir = segments.slice(0, idx + 1).join(path.sep);
+  if (!fs.existsSync(dotNextDir)) {
+    return {
+      level: "warning",
+      message: `No stats file at ${statsPath}: ${dotNextDir} does not exist. Build the app before this step, and check that stats-path is relative to the repository root, not the app directory.`,
+    };
+  }
+  return {
+    level: "warning",
+    message: `No stats file at ${statsPath}, although the app has been built. Build it with TURBOPACK_STATS=1 (route-bundle-stats.json needs Next.js 16.2+).`,
+  };
+}
+
+/**
+ * Describes what is wrong with an entry of route-bundle-stats.json.
+ *
+ * @param {unknown} entry
+ * @param {number} index
+ * @returns {string | null} Null for a usable entry
+ */
+function getStatsEntryProblem(entry, index) {
+  if (!entry || typeof entry !== "object") return `entry ${index} is not an object`;
+  if (typeof entry.route !== "string") return `entry ${index} has no route`;
+  if (!Array.isArray(entry.firstLoadChunkPaths)) return `${entry.route} has no firstLoadChunkPaths`;
+  return null;
+}
+
+/**
+ * Returns whether an entry of route-bundle-stats.json can be measured. The
+ * other entries are skipped, and reported by `validateStats`.
+ *
+ * @param {unknown} entry
+ * @returns {boolean}
+ */
+function isValidStatsEntry(entry) {
+  return getStatsEntryProblem(entry, 0) === null;
+}
+
+/**
+ * Checks the shape of a parsed stats file.
+ *
+ * @param {unknown} stats
+ * @param {string | null} [nextVersion] - Named in the diagnostics of unknown formats
+ * @returns {Diagnostic[]}
+ */
+function validateStats(stats, nextVersion = null) {
+  const built = nextVersion ? ` from Next.js ${nextVersion}` : "";
+  const unknownFormat = (details) => ({
+    level: "error",
+    message: `Unknown stats format${built}: ${details}. Next.js may have changed the format of its stats; please report it together with your Next.js version.`,
+  });
+
+  if (Array.isArray(stats)) {
+    const problems = stats.map(getStatsEntryProblem).filter(Boolean);
+    if (stats.length > 0 && problems.length === stats.length) {
+      return [
+        unknownFormat(
+          `none of the ${stats.length} entries of route-bundle-stats.json has a route and firstLoadChunkPaths`,
+        ),
+      ];
+    }
+    if (problems.length === 0) return [];
+    const listed = problems.slice(0, MAX_LISTED_ENTRIES).join(", ");
+    const more =
+      problems.length > MAX_LISTED_ENTRIES
+        ? ` and ${problems.length - MAX_LISTED_ENTRIES} more`
+        : "";
+    return [
+      {
+        level: "warning",
+        message: `Skipped ${problems.length} of ${stats.length} entries of route-bundle-stats.json: ${listed}${more}.`,
+      },
+    ];
+  }
+
+  if (stats && typeof stats === "object") {
+    if (!stats.namedChunkGroups && !stats.entrypoints) {
+      return [unknownFormat("webpack-stats.json has neither namedChunkGroups nor entrypoints")];
+    }
+    if (stats.assets !== undefined && !Array.isArray(stats.assets)) {
+      return [
+        {
+          level: "warning",
+          message: "The assets of webpack-stats.json are not a list, so their sizes are unknown.",
+        },
+      ];
+    }
+    return [];
+  }
+
+  return [
+    unknownFormat(
+      `expected a list (route-bundle-stats.json) or an object (webpack-stats.json), got ${stats === null ? "null" : typeof stats}`,
+    ),
+  ];
+}
+
+/**
+ * Checks that the manifests of the build in `dotNextDir` can be read.
+ * Missing manifests are fine: not every build has all of them.
+ *
+ * @param {string} dotNextDir
+ * @returns {Diagnostic[]}
+ */
+function validateManifests(dotNextDir) {
+  const diagnostics = [];
+  for (const manifest of MANIFESTS) {
+    const manifestPath = path.join(dotNextDir, manifest);
+    if (!fs.existsSync(manifestPath)) continue;
+    const { content, diagnostic } = readBuildJson(manifestPath);
+    if (diagnostic) diagnostics.push(diagnostic);
+    else if (!content || typeof content !== "object" || Array.isArray(content)) {
+      diagnostics.push({
+        level: "warning",
+        message: `${manifestPath} is not an object, so it is ignored.`,
+      });
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Logs warnings to stderr, so they do not mix with reports printed to
+ * stdout (e.g. `compare --json`), and throws a `StatsValidationError` for errors, or for any
+ * diagnostic in strict mode.
+ *
+ * @param {Diagnostic[]} diagnostics
+ * @param {boolean} [strict]
+ */
+function reportDiagnostics(diagnostics, strict = false) {
+  const fatal = diagnostics.filter((diagnostic) => strict || diagnostic.level === "error");
+  if (fatal.length > 0) throw new StatsValidationError(fatal);
+  for (const diagnostic of diagnostics) console.warn(`⚠️ Warning: ${diagnostic.message}`);
+}
+
+/**
+ * Reads and validates a stats file and the manifests next to it.
+ *
+ * @param {string} statsPath
+ * @param {string} dotNextDir
+ * @param {{ strict?: boolean }} [options]
+ * @returns {Array<object> | object | null} The parsed stats, or null when the file is missing
+ *   (outside strict mode)
+ */
+function loadStatsFile(statsPath, dotNextDir, options = {}) {
+  if (!fs.existsSync(statsPath)) {
+    reportDiagnostics([diagnoseMissingStats(statsPath)], options.strict);
+    return null;
+  }
+  const { content, diagnostic } = readBuildJson(statsPath);
+  if (diagnostic) reportDiagnostics([diagnostic]);
+  reportDiagnostics(
+    [...validateStats(content, getNextVersion(dotNextDir)), ...validateManifests(dotNextDir)],
+    options.strict,
+  );
+  return content;
+}
+
+module.exports = {
+  StatsValidationError,
+  isValidStatsEntry,
+  getNextVersion,
+  readBuildJson,
+  reportDiagnostics,
+  validateStats,
+  validateManifests,
+  loadStatsFile,
+};
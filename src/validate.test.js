@@ -0,0 +1,134 @@
+"use strict";
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  StatsValidationError,
+  validateStats,
+  validateManifests,
+  loadStatsFile,
+} = require("./validate.js");
+
+const tmpRoot = path.join(process.env.TMPDIR || "/tmp", `bundle-size-validate-${process.pid}`);
+
+function writeBuildFile(relativePath, content) {
+  const filePath = path.join(tmpRoot, "app", ".next", relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+const dotNextDir = path.join(tmpRoot, "app", ".next");
+const validEntry = { route: "/", firstLoadUncompressedJsBytes: 100, firstLoadChunkPaths: [] };
+
+// ---------------------------------------------------------------------------
+// validateStats
+// ---------------------------------------------------------------------------
+
+describe("validateStats", () => {
+  test("accepts both stats formats", () => {
+    assert.deepEqual(validateStats([validEntry]), []);
+    assert.deepEqual(validateStats({ namedChunkGroups: {}, assets: [] }), []);
+  });
+
+  test("warns about malformed route-bundle-stats entries", () => {
+    const diagnostics = validateStats([validEntry, null, { route: "/about" }]);
+    assert.deepEqual(diagnostics, [
+      {
+        level: "warning",
+        message:
+          "Skipped 2 of 3 entries of route-bundle-stats.json: entry 1 is not an object, /about has no firstLoadChunkPaths.",
+      },
+    ]);
+  });
+
+  test("reports unknown formats with the Next.js version", () => {
+    const [diagnostic] = validateStats([{ path: "/", chunks: [] }], "17.0.0");
+    assert.equal(diagnostic.level, "error");
+    assert.match(diagnostic.message, /^Unknown stats format from Next\.js 17\.0\.0: none of the 1/);
+    assert.match(validateStats({ modules: [] })[0].message, /neither namedChunkGroups/);
+    assert.match(validateStats("stats")[0].message, /got string/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateManifests
+// ---------------------------------------------------------------------------
+
+describe("validateManifests", () => {
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("reports truncated and malformed manifests", () => {
+    writeBuildFile("build-manifest.json", '{"pages": {"/": [');
+    writeBuildFile(path.join("server", "app-paths-manifest.json"), "[]");
+    const diagnostics = validateManifests(dotNextDir);
+    assert.equal(diagnostics.length, 2);
+    assert.equal(diagnostics[0].level, "warning");
+    assert.match(diagnostics[0].message, /app-paths-manifest\.json is not an object/);
+    assert.equal(diagnostics[1].level, "error");
+    assert.match(diagnostics[1].message, /build-manifest\.json is truncated .*rebuild the app/);
+  });
+
+  test("accepts builds without manifests", () => {
+    assert.deepEqual(validateManifests(dotNextDir), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadStatsFile
+// ---------------------------------------------------------------------------
+
+describe("loadStatsFile", () => {
+  const statsPath = path.join(dotNextDir, "diagnostics", "route-bundle-stats.json");
+
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("returns the parsed stats", () => {
+    writeBuildFile(
+      path.join("diagnostics", "route-bundle-stats.json"),
+      JSON.stringify([validEntry]),
+    );
+    assert.deepEqual(loadStatsFile(statsPath, dotNextDir), [validEntry]);
+  });
+
+  test("explains a missing stats file, and fails on it in strict mode", () => {
+    assert.equal(loadStatsFile(statsPath, dotNextDir), null);
+    assert.throws(
+      () => loadStatsFile(statsPath, dotNextDir, { strict: true }),
+      (error) =>
+        error instanceof StatsValidationError && /\.next does not exist/.test(error.message),
+    );
+    writeBuildFile("build-manifest.json", "{}");
+    assert.throws(
+      () => loadStatsFile(statsPath, dotNextDir, { strict: true }),
+      /TURBOPACK_STATS=1/,
+    );
+    assert.throws(
+      () => loadStatsFile("route-bundle-stats.json", dotNextDir, { strict: true }),
+      /not inside a \.next directory/,
+    );
+  });
+
+  test("fails on a truncated or empty stats file", () => {
+    writeBuildFile(path.join("diagnostics", "route-bundle-stats.json"), '[{"route": "/"');
+    assert.throws(() => loadStatsFile(statsPath, dotNextDir), /is truncated/);
+    writeBuildFile(path.join("diagnostics", "route-bundle-stats.json"), "");
+    assert.throws(() => loadStatsFile(statsPath, dotNextDir), /is empty/);
+  });
+
+  test("fails on warnings only in strict mode", () => {
+    const stats = [validEntry, { firstLoadChunkPaths: [] }];
+    writeBuildFile(path.join("diagnostics", "route-bundle-stats.json"), JSON.stringify(stats));
+    assert.deepEqual(loadStatsFile(statsPath, dotNextDir), stats);
+    assert.throws(
+      () => loadStatsFile(statsPath, dotNextDir, { strict: true }),
+      /entry 1 has no route/,
+    );
+  });
+});